@@ -1,11 +1,18 @@
 import { Telegraf, Markup } from "telegraf";
-import { chromium } from "playwright";
+import { chromium, devices } from "playwright";
 import pTimeout from "p-timeout";
 import dns from "dns/promises";
+import net from "net";
+import crypto from "crypto";
 import { URL } from "url";
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
+import { execFile } from "child_process";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { AsyncLocalStorage } from "async_hooks";
+import { Agent, ProxyAgent, fetch as undiciFetch } from "undici";
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 if (!BOT_TOKEN) throw new Error("Missing BOT_TOKEN env var");
@@ -15,6 +22,10 @@ const bot = new Telegraf(BOT_TOKEN);
 // ----------------- Limits / Settings -----------------
 const DESKTOP_VIEWPORT = { width: 1280, height: 720 };
 const MOBILE_VIEWPORT = { width: 390, height: 844 }; // iPhone-like
+const MIN_VIEWPORT = { width: 240, height: 240 };
+const MAX_VIEWPORT = { width: 3840, height: 2160 };
+
+const HOME_URL = "https://duckduckgo.com";
 
 const NAV_TIMEOUT_MS = 15000;
 const TOTAL_TIMEOUT_MS = 25000;
@@ -22,12 +33,28 @@ const MAX_URL_LEN = 2048;
 
 const MAX_LINKS = 8;
 const SCROLL_PX = 650;
-const MAX_MEDIA_ITEMS = 6;
+const MAX_MEDIA_ITEMS = 12;
 const MAX_MEDIA_BYTES = 45 * 1024 * 1024;
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024; // Telegram's sendPhoto limit
+
+// Session capacity (shared box: every session is a Chromium context)
+const envInt = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+};
+const MAX_SESSIONS = envInt("MAX_SESSIONS", 10);
+const MAX_TABS_PER_SESSION = envInt("MAX_TABS_PER_SESSION", 6);
+const SESSION_IDLE_MS = envInt("SESSION_IDLE_MINUTES", 30) * 60 * 1000;
+// "evict": close the least recently used session; "queue": make the new chat wait
+const SESSION_LIMIT_POLICY = process.env.SESSION_LIMIT_POLICY === "queue" ? "queue" : "evict";
 
 // Grid tap settings
-const GRID_COLS = 6; // A..F
+const GRID_COLS = 6; // A..F (default; /grid <cols>x<rows> changes it per chat)
 const GRID_ROWS = 4; // 1..4
+const GRID_MAX = 12;
+const GRID_MAX_BUTTONS = 96; // Telegram allows 100 buttons per keyboard
+const GRID_MIN_TAP_PX = 40;  // a cell this small is tapped instead of zoomed into
+const GRID_MAX_DEPTH = 3;    // full view + two zoom levels
 
 const ALLOWED_DOMAINS = (process.env.ALLOWED_DOMAINS || "")
   .split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
@@ -37,15 +64,69 @@ function isAllowedDomain(hostname) {
   return ALLOWED_DOMAINS.some(d => hostname === d || hostname.endsWith("." + d));
 }
 
-// SSRF-ish blocks (basic IPv4)
-function isPrivateIp(ip) {
-  const p = ip.split(".").map(n => Number(n));
-  if (p.length !== 4 || p.some(n => Number.isNaN(n) || n < 0 || n > 255)) return false;
-  const [a, b] = p;
-  if (a === 10 || a === 127 || a === 0) return true;
-  if (a === 192 && b === 168) return true;
-  if (a === 172 && b >= 16 && b <= 31) return true;
-  return false;
+// ----------------- Network Guard (SSRF) -----------------
+const DNS_CACHE_TTL_MS = 30000;
+const BLOCK_NOTICE_COOLDOWN_MS = 60000;
+const MAX_REDIRECTS = 5;
+
+// Everything that isn't the public internet: loopback, RFC1918, CGNAT,
+// link-local (cloud metadata lives at 169.254.169.254), multicast, reserved,
+// documentation ranges, and their IPv6 counterparts. BlockList matches
+// IPv4-mapped IPv6 (::ffff:a.b.c.d) against the IPv4 rules by itself.
+const BLOCKED_NETS = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24],
+  ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24],
+  ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) BLOCKED_NETS.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [
+  ["::", 96],          // unspecified, loopback, IPv4-compatible
+  ["64:ff9b::", 96],   // NAT64, would reach any IPv4 address
+  ["64:ff9b:1::", 48], // local-use NAT64
+  ["100::", 64],       // discard
+  ["2001:db8::", 32],  // documentation
+  ["2002::", 16],      // 6to4, would reach any IPv4 address
+  ["fc00::", 7],       // unique local
+  ["fe80::", 10],      // link-local
+  ["fec0::", 10],      // site-local (deprecated)
+  ["ff00::", 8]        // multicast
+]) BLOCKED_NETS.addSubnet(addr, prefix, "ipv6");
+
+function isBlockedIp(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return BLOCKED_NETS.check(ip, "ipv4");
+  if (family === 6) return BLOCKED_NETS.check(ip, "ipv6");
+  return true;
+}
+
+const dnsCache = new Map(); // host -> { addresses, expires }
+
+async function resolveHost(host) {
+  const cached = dnsCache.get(host);
+  if (cached && cached.expires > Date.now()) return cached.addresses;
+
+  const resolved = await dns.lookup(host, { all: true, verbatim: true });
+  const addresses = resolved.map(r => r.address);
+  if (dnsCache.size > 1000) dnsCache.clear();
+  dnsCache.set(host, { addresses, expires: Date.now() + DNS_CACHE_TTL_MS });
+  return addresses;
+}
+
+// Throws if the browser (or our own fetch) must not talk to this URL.
+async function assertPublicUrl(u) {
+  if (!["http:", "https:", "ws:", "wss:"].includes(u.protocol)) throw new Error(`Blocked scheme: ${u.protocol}`);
+
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (!isAllowedDomain(host)) throw new Error(`Domain not allowed: ${host}`);
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : await resolveHost(host);
+  } catch {
+    throw new Error(`Could not resolve host: ${host}`);
+  }
+  if (!addresses.length || addresses.some(isBlockedIp)) throw new Error(`Blocked private/internal host: ${host}`);
 }
 
 async function validateUrl(input) {
@@ -60,14 +141,126 @@ async function validateUrl(input) {
 
   if (!["http:", "https:"].includes(u.protocol)) throw new Error("Only http/https allowed.");
 
-  const host = u.hostname.toLowerCase();
-  if (!isAllowedDomain(host)) throw new Error(`Domain not allowed: ${host}`);
+  await assertPublicUrl(u);
+  return u.toString();
+}
+
+// dns.lookup for sockets: the address checked is the address connected to,
+// so a host can't pass assertPublicUrl and then resolve somewhere internal.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { family: options.family || 0, all: true, verbatim: true }).then((addresses) => {
+    if (!addresses.length || addresses.some(a => isBlockedIp(a.address))) {
+      return callback(new Error(`Blocked private/internal host: ${hostname}`));
+    }
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  }, callback);
+}
 
-  const resolved = await dns.lookup(host, { all: true });
-  for (const r of resolved) {
-    if (r.family === 4 && isPrivateIp(r.address)) throw new Error("Blocked private/internal host.");
+const directDispatcher = new Agent({ connect: { lookup: guardedLookup } });
+
+// fetch() that re-checks every redirect hop instead of following them blindly.
+// `proxy`: proxy URL to go through (see effectiveProxy()).
+// `context`: a browser context whose cookies go along with each hop.
+async function guardedFetch(url, { proxy, context, ...init } = {}) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(new URL(current));
+    const headers = new Headers(init.headers);
+    if (context) {
+      const cookies = await context.cookies(current);
+      if (cookies.length) headers.set("cookie", cookies.map(c => `${c.name}=${c.value}`).join("; "));
+      else headers.delete("cookie");
+    }
+    const response = await undiciFetch(current, {
+      ...init,
+      headers,
+      redirect: "manual",
+      dispatcher: proxy ? proxyDispatcher(proxy) : directDispatcher
+    });
+    const location = response.headers.get("location");
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel().catch(() => {});
+      current = new URL(location, current).toString();
+      continue;
+    }
+    return response;
   }
-  return u.toString();
+  throw new Error("Too many redirects.");
+}
+
+const blockNotices = new Map(); // `${chatId}|${host}` -> last notice time
+
+function notifyBlocked(chatId, url, reason) {
+  if (!chatId) return; // background contexts with nobody to tell
+  let host = url;
+  try { host = new URL(url).host; } catch {}
+
+  const key = `${chatId}|${host}`;
+  const last = blockNotices.get(key) || 0;
+  if (Date.now() - last < BLOCK_NOTICE_COOLDOWN_MS) return;
+  blockNotices.set(key, Date.now());
+
+  const shown = url.length > 200 ? `${url.slice(0, 197)}...` : url;
+  bot.telegram.sendMessage(chatId, `🛡️ Blocked request:\n${shown}\n${reason}`).catch(() => {});
+}
+
+const PASSTHROUGH_SCHEMES = ["data:", "blob:", "about:"];
+
+async function installRequestGuard(context, chatId, proxyServer) {
+  // Every request from every page, frame and worker of the context.
+  await context.route("**/*", async (route) => {
+    const url = route.request().url();
+    try {
+      const u = new URL(url);
+      if (!PASSTHROUGH_SCHEMES.includes(u.protocol)) await assertPublicUrl(u);
+    } catch (e) {
+      notifyBlocked(chatId, url, e.message);
+      return route.abort("blockedbyclient").catch(() => {});
+    }
+    return route.fallback().catch(() => {});
+  });
+
+  await context.routeWebSocket(() => true, async (ws) => {
+    try {
+      await assertPublicUrl(new URL(ws.url()));
+      ws.connectToServer();
+    } catch (e) {
+      notifyBlocked(chatId, ws.url(), e.message);
+      await ws.close({ code: 1008, reason: "Blocked" }).catch(() => {});
+    }
+  });
+
+  // The relay from browserProxy() pins what Chromium connects to. As a second
+  // line, audit where each response really came from (route handlers don't
+  // see redirect hops) and blank the page if it crossed the line. Responses
+  // come from the proxy or relay (which may well be an internal box);
+  // anything that didn't still has to be public.
+  const proxyAddrs = new Set();
+  if (proxyServer) {
+    const host = new URL(proxyServer).hostname.replace(/^\[|\]$/g, "");
+    for (const a of net.isIP(host) ? [host] : await resolveHost(host).catch(() => [])) proxyAddrs.add(a);
+  }
+
+  context.on("response", async (response) => {
+    let reason = null;
+    try {
+      const host = new URL(response.url()).hostname.toLowerCase().replace(/^\[|\]$/g, "");
+      if (!isAllowedDomain(host)) reason = `Domain not allowed: ${host}`;
+    } catch {}
+
+    const addr = await response.serverAddr().catch(() => null);
+    const ip = addr?.ipAddress.replace(/^::ffff:/i, "");
+    if (!reason && ip && !proxyAddrs.has(ip) && isBlockedIp(ip)) {
+      reason = `Served from internal address ${ip}`;
+    }
+    if (!reason) return;
+
+    notifyBlocked(chatId, response.url(), reason);
+    try {
+      await response.frame().page().goto("about:blank");
+    } catch {}
+  });
 }
 
 function argText(text) {
@@ -75,7 +268,17 @@ function argText(text) {
 }
 
 async function safeRun(fn) {
-  return await pTimeout(fn(), { milliseconds: TOTAL_TIMEOUT_MS });
+  // Also stops waiting when a newer navigation supersedes the current action
+  return await pTimeout(fn(), { milliseconds: TOTAL_TIMEOUT_MS, signal: currentAction()?.controller.signal });
+}
+
+// For work that can actually be cancelled (fetches, child processes): the
+// running action's signal, plus a time limit of its own.
+function actionSignal(ms, message) {
+  const timeout = new AbortController();
+  setTimeout(() => timeout.abort(new Error(message)), ms).unref();
+  const signal = currentAction()?.controller.signal;
+  return signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
 }
 
 function looksLikeUrl(input) {
@@ -91,10 +294,275 @@ function buildSearchUrl(query) {
   return `https://duckduckgo.com/?${params.toString()}`;
 }
 
+// ----------------- Proxy -----------------
+// PROXY_URL applies to every session; /proxy overrides it per chat.
+// http://, https:// and socks5:// with optional user:pass@.
+const PROXY_SCHEMES = ["http:", "https:", "socks5:"];
+const PROXY_TEST_URL = "https://api.ipify.org?format=json";
+
+const proxyAgents = new Map();  // proxy url -> undici ProxyAgent
+const MAX_RELAY_HEAD_BYTES = 64 * 1024;
+
+function parseProxyUrl(input) {
+  let u;
+  try {
+    u = new URL(input.replace(/^socks5h:/i, "socks5:"));
+  } catch {
+    throw new Error("Invalid proxy URL.");
+  }
+  if (!PROXY_SCHEMES.includes(u.protocol) || !u.hostname || !u.port) {
+    throw new Error("Proxy must look like http://, https:// or socks5://[user:pass@]host:port");
+  }
+  return u;
+}
+
+const PROXY_URL = process.env.PROXY_URL ? parseProxyUrl(process.env.PROXY_URL).href : null;
+
+function redactProxy(proxyUrl) {
+  const u = new URL(proxyUrl);
+  return `${u.protocol}//${u.username || u.password ? "***@" : ""}${u.host}`;
+}
+
+// A chat's own proxy must not point the browser at internal services
+async function assertUsableProxy(input) {
+  const u = parseProxyUrl(input);
+  await assertPublicUrl(new URL(`http://${u.host}`));
+  return u.href;
+}
+
+// Playwright's `proxy` context option, plus `close` for a relay (see localRelay).
+// Without a proxy the browser still goes through a relay: one that connects
+// to the address it checked, so pages can't DNS-rebind past the guard.
+async function browserProxy(proxyUrl) {
+  if (!proxyUrl) return { ...await localRelay(directConnect), bypass: "<-loopback>" };
+  const u = new URL(proxyUrl);
+  if (u.protocol === "socks5:" && (u.username || u.password)) {
+    return await localRelay((host, port) => socksConnect(u, host, port));
+  }
+  return {
+    server: `${u.protocol}//${u.host}`,
+    username: decodeURIComponent(u.username) || undefined,
+    password: decodeURIComponent(u.password) || undefined
+  };
+}
+
+// For fetch(): same proxy as the chat's browser
+function proxyDispatcher(proxyUrl) {
+  if (!proxyAgents.has(proxyUrl)) proxyAgents.set(proxyUrl, new ProxyAgent(proxyUrl));
+  return proxyAgents.get(proxyUrl);
+}
+
+// A local HTTP proxy for one context, behind a random login only that context
+// knows. `connect(host, port)` opens the outgoing socket: straight out through
+// guardedLookup, or via a SOCKS5 login (Chromium can't log in to those).
+async function localRelay(connect) {
+  const username = crypto.randomBytes(8).toString("hex");
+  const password = crypto.randomBytes(16).toString("hex");
+  const auth = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+
+  const server = net.createServer((client) => {
+    client.on("error", () => {});
+    relayRequest(client, connect, auth).catch(() => client.destroy());
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+  server.unref();
+  return { server: `http://127.0.0.1:${server.address().port}`, username, password, close: () => server.close() };
+}
+
+function nextChunk(socket) {
+  return new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      cleanup();
+      socket.pause();
+      resolve(chunk);
+    };
+    const onEnd = () => {
+      cleanup();
+      reject(new Error("Relay connection closed"));
+    };
+    const cleanup = () => {
+      socket.off("data", onData);
+      socket.off("close", onEnd);
+    };
+    socket.on("data", onData);
+    socket.on("close", onEnd);
+    socket.resume();
+  });
+}
+
+// CONNECT host:port for https and websockets, an absolute URL for plain http
+async function relayRequest(client, connect, auth) {
+  let head = Buffer.alloc(0);
+  while (!head.includes("\r\n\r\n")) {
+    head = Buffer.concat([head, await nextChunk(client)]);
+    if (head.length > MAX_RELAY_HEAD_BYTES) throw new Error("Request head too large");
+  }
+  const headEnd = head.indexOf("\r\n\r\n");
+  const rest = head.subarray(headEnd + 4);
+  const [requestLine, ...headers] = head.subarray(0, headEnd).toString("latin1").split("\r\n");
+  const [method, target, version] = requestLine.split(" ");
+
+  const given = headers.find(h => /^proxy-authorization:/i.test(h))?.replace(/^[^:]*:\s*/, "") || "";
+  if (given.length !== auth.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(auth))) {
+    return client.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic realm="relay"\r\nContent-Length: 0\r\n\r\n');
+  }
+
+  let u, first;
+  if (method === "CONNECT") {
+    u = new URL(`http://${target}`);
+    first = rest;
+  } else {
+    // One request per connection: the next one may be for another host
+    u = new URL(target);
+    const forwarded = headers.filter(h => !/^(proxy-authorization|proxy-connection|connection):/i.test(h));
+    first = Buffer.concat([
+      Buffer.from([`${method} ${u.pathname}${u.search} ${version}`, ...forwarded, "Connection: close", "", ""].join("\r\n"), "latin1"),
+      rest
+    ]);
+  }
+  const port = Number(u.port) || (method === "CONNECT" ? 443 : 80);
+
+  let remote;
+  try {
+    remote = await connect(u.hostname.replace(/^\[|\]$/g, ""), port);
+  } catch {
+    return client.end("HTTP/1.1 502 Bad Gateway\r\nContent-Length: 0\r\n\r\n");
+  }
+  remote.on("close", () => client.destroy());
+  client.on("close", () => remote.destroy());
+
+  if (method === "CONNECT") client.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+  if (first.length) remote.write(first);
+  client.pipe(remote);
+  remote.pipe(client);
+}
+
+async function directConnect(host, port) {
+  if (net.isIP(host) && isBlockedIp(host)) throw new Error(`Blocked private/internal host: ${host}`);
+  const remote = net.connect({ host, port, lookup: guardedLookup });
+  remote.on("error", () => {});
+  await new Promise((resolve, reject) => {
+    remote.once("connect", resolve);
+    remote.once("error", reject);
+  }).catch((e) => {
+    remote.destroy();
+    throw e;
+  });
+  return remote;
+}
+
+async function socksConnect(upstream, host, port) {
+  const remote = net.connect(Number(upstream.port), upstream.hostname);
+  remote.on("error", () => {});
+  try {
+    await new Promise((resolve, reject) => {
+      remote.once("connect", resolve);
+      remote.once("error", reject);
+    });
+
+    remote.write(Buffer.from([5, 1, 2]));
+    if ((await nextChunk(remote))[1] !== 2) throw new Error("Proxy refused username/password auth");
+    const user = Buffer.from(decodeURIComponent(upstream.username));
+    const pass = Buffer.from(decodeURIComponent(upstream.password));
+    remote.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+    if ((await nextChunk(remote))[1] !== 0) throw new Error("Proxy login failed");
+
+    // VER CMD RSV ATYP DST.ADDR DST.PORT; names (and IPv6) go as a domain, resolved by the proxy
+    const addr = net.isIPv4(host)
+      ? Buffer.from([1, ...host.split(".").map(Number)])
+      : Buffer.concat([Buffer.from([3, Buffer.byteLength(host)]), Buffer.from(host)]);
+    remote.write(Buffer.concat([Buffer.from([5, 1, 0]), addr, Buffer.from([port >> 8, port & 255])]));
+    if ((await nextChunk(remote))[1] !== 0) throw new Error("Proxy could not connect");
+    return remote;
+  } catch (e) {
+    remote.destroy();
+    throw e;
+  }
+}
+
+// ----------------- Local Storage -----------------
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+async function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// Write-then-rename so a crash never leaves a half-written file behind.
+// Files may hold cookies, so keep them private to the bot's user.
+let writeSeq = 0;
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${++writeSeq}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tmp, file);
+}
+
+// Per-chat documents (history, bookmarks, ...) at DATA_DIR/<kind>/<chatId>.json.
+// Kept in memory while in use; writes are batched because some change often.
+// Watches stay loaded for good: the watch scheduler walks this map.
+const chatDocs = new Map(); // `${kind}/${chatId}` -> { data, timer, used }
+const CHAT_DOC_SAVE_DELAY_MS = 2000;
+const CHAT_DOC_IDLE_MS = 30 * 60 * 1000;
+
+function chatDocFile(key) {
+  return path.join(DATA_DIR, `${key}.json`);
+}
+
+async function loadChatDoc(kind, chatId, fallback) {
+  const key = `${kind}/${chatId}`;
+  if (!chatDocs.has(key)) {
+    const data = await readJson(chatDocFile(key), fallback);
+    if (!chatDocs.has(key)) chatDocs.set(key, { data, timer: null, used: 0 });
+  }
+  const doc = chatDocs.get(key);
+  doc.used = Date.now();
+  return doc.data;
+}
+
+function saveChatDoc(kind, chatId) {
+  const doc = chatDocs.get(`${kind}/${chatId}`);
+  if (!doc) return;
+  doc.used = Date.now();
+  if (doc.timer) return;
+  doc.timer = setTimeout(() => {
+    doc.timer = null;
+    writeJson(chatDocFile(`${kind}/${chatId}`), doc.data).catch(() => {});
+  }, CHAT_DOC_SAVE_DELAY_MS);
+}
+
+async function flushChatDocs() {
+  await Promise.all([...chatDocs].map(async ([key, doc]) => {
+    if (!doc.timer) return;
+    clearTimeout(doc.timer);
+    doc.timer = null;
+    await writeJson(chatDocFile(key), doc.data).catch(() => {});
+  }));
+}
+
+// Drop docs that are saved and haven't been touched for a while; the next
+// loadChatDoc reads them back from disk.
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, doc] of chatDocs) {
+    if (key.startsWith("watches/") || doc.timer) continue;
+    if (now - doc.used > CHAT_DOC_IDLE_MS) chatDocs.delete(key);
+  }
+}, 60 * 1000).unref();
+
 // ----------------- Browser + Sessions (Multi-tabs) -----------------
 let browser;
 async function getBrowser() {
-  if (!browser) browser = await chromium.launch({ headless: true });
+  if (!browser) {
+    await fs.mkdir(DOWNLOAD_DIR, { recursive: true });
+    browser = await chromium.launch({ headless: true, downloadsPath: DOWNLOAD_DIR });
+  }
   return browser;
 }
 
@@ -109,12 +577,84 @@ async function getBrowser() {
  *   lastMsgId: number|null,
  *   zoom: number,              // 1.0 = 100%
  *   mobile: boolean,           // mobile emulation on/off
- *   viewport: {width,height}   // current viewport
+ *   viewport: {width,height},  // current viewport
+ *   device: string|null,       // Playwright device descriptor name (/device)
+ *   locale: string|null,       // e.g. "de-DE"
+ *   timezone: string|null,     // IANA id, e.g. "Europe/Berlin"
+ *   geo: {latitude, longitude}|null,
+ *   theme: "dark"|"light"|null,  // prefers-color-scheme; null = browser default
+ *   proxy: string|null,        // chat's own proxy URL; null = PROXY_URL (if set)
+ *   profile: string|null,      // name of the saved profile in use
+ *   hintMode: boolean,         // draw numbered badges on every render
+ *   keypad: boolean,           // show the key pad instead of the main buttons
+ *   grid: {cols, rows},        // tap grid size
+ *   gridMode: boolean,         // grid drawn on the screenshot, cell buttons shown
+ *   gridPath: {x,y,width,height}[],  // zoom stack; [0] is the whole viewport
+ *   hints: {n, frame, tag, label}[],
+ *   forms: {n, frame, name}[],          // from the last /forms
+ *   fields: {n, frame, form, type, label, secret, ...}[],
+ *   reader: string[],          // HTML pages of the last /read
+ *   find: {query, index, count}|null,  // active /find search
+ *   dialog: {dialog, type, text, msgId, timer}|null,  // JS dialog waiting for the chat
+ *   notices: string[],         // one-shot lines for the next render caption
+ *   downloads: {id, name, url, status, bytes, at}[],  // newest first
+ *   upload: null | {path, dir, name, mime, timer},  // file sent by the user, waiting for an input
+ *   chooser: null | FileChooser,  // file picker the page opened, waiting for a file
+ *   fileInputs: {n, frame, label, accept, multiple}[],  // last file input listing (up:<n>)
+ *   recording: {name, steps}|null,  // macro being recorded
+ *   secretPrompt: {msgId, resolve}|null,  // macro run waiting for a password reply
+ *   linkList: {filter, items: {text, href}[]},  // last /links listing (lk:<i>)
+ *   lastUsed: number           // Date.now() of the last access, for idle/LRU eviction
  * }
  */
 const sessions = new Map();
+const waitQueue = [];  // chatIds waiting for a free session slot
+let openingSessions = 0;
+let watchContexts = 0;  // page watch checks hold a browser context too
+
+function slotsInUse() {
+  return sessions.size + openingSessions + watchContexts;
+}
+// Contexts being closed or replaced: their pages closing aren't tabs going away
+const retiredContexts = new WeakSet();
+
+async function retireContext(context) {
+  retiredContexts.add(context);
+  try { await context.close(); } catch {}
+}
+
+// Everything a context is built from; the rest of the session survives a rebuild
+const EMULATION_KEYS = ["device", "mobile", "viewport", "locale", "timezone", "geo", "theme", "proxy"];
+const DEFAULT_EMULATION = {
+  device: null,
+  mobile: false,
+  viewport: DESKTOP_VIEWPORT,
+  locale: null,
+  timezone: null,
+  geo: null,
+  theme: null,
+  proxy: null
+};
+
+// Works on sessions and saved profiles alike
+function emulationOf(source) {
+  const emu = Object.fromEntries(EMULATION_KEYS.map(k => [k, source[k] ?? DEFAULT_EMULATION[k]]));
+  if (!source.viewport) emu.viewport = emu.mobile ? MOBILE_VIEWPORT : DESKTOP_VIEWPORT;
+  emu.viewport = { ...emu.viewport };
+  return emu;
+}
 
-async function createContext(mobile, viewport) {
+// chatId -> the chat's /proxy URL. Only ever in memory (it may hold a password),
+// so it outlives the chat's session and profile switches but not a restart.
+const chatProxies = new Map();
+
+function effectiveProxy(sess) {
+  return sess.proxy || PROXY_URL;
+}
+
+// background: a context no chat is looking at (page watches). It gets the
+// same guards, but no popups, dialogs, downloads or history reach the chat.
+async function createContext(chatId, emu, storageState, { background = false } = {}) {
   const b = await getBrowser();
 
   const userAgentMobile =
@@ -122,38 +662,119 @@ async function createContext(mobile, viewport) {
   const userAgentDesktop =
     "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
 
+  // UA, touch and pixel ratio come from the descriptor; viewport can be overridden
+  const { defaultBrowserType, ...descriptor } = (emu.device && devices[emu.device]) || {};
+
+  const proxyUrl = emu.proxy || PROXY_URL;
+  const { close: closeRelay, ...proxy } = await browserProxy(proxyUrl);
+
   const context = await b.newContext({
-    viewport,
-    userAgent: mobile ? userAgentMobile : userAgentDesktop,
-    isMobile: mobile,
-    hasTouch: mobile
+    userAgent: emu.mobile ? userAgentMobile : userAgentDesktop,
+    isMobile: emu.mobile,
+    hasTouch: emu.mobile,
+    ...descriptor,
+    viewport: emu.viewport,
+    locale: emu.locale || undefined,
+    timezoneId: emu.timezone || undefined,
+    geolocation: emu.geo || undefined,
+    permissions: emu.geo ? ["geolocation"] : [],
+    colorScheme: emu.theme || undefined,
+    proxy,
+    acceptDownloads: !background,
+    storageState,
+    // Service workers would fetch outside the request guard
+    serviceWorkers: "block"
+  }).catch((e) => {
+    closeRelay?.();
+    throw e;
   });
+  if (closeRelay) context.on("close", closeRelay);
+
+  await installRequestGuard(context, chatId, proxy.server);
+  await installContentBlocker(context, chatId);
+  if (background) return context;
+
+  trackHistory(context, chatId);
+  watchPopupsAndDialogs(context, chatId);
+  watchDownloads(context, chatId);
+  watchFileChoosers(context, chatId);
+  watchMedia(context);
 
   return context;
 }
 
+async function openPages(context, urls) {
+  const pages = [];
+  for (const u of urls) {
+    const p = await context.newPage();
+    await p.goto(u || HOME_URL, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
+    pages.push(p);
+  }
+  return pages;
+}
+
 async function getSession(chatId) {
-  if (sessions.has(chatId)) return sessions.get(chatId);
+  if (sessions.has(chatId)) {
+    const existing = sessions.get(chatId);
+    existing.lastUsed = Date.now();
+    return existing;
+  }
 
-  const mobile = false;
-  const viewport = { ...DESKTOP_VIEWPORT };
-  const context = await createContext(mobile, viewport);
+  if (slotsInUse() >= MAX_SESSIONS) await makeRoomFor(chatId);
 
-  const page = await context.newPage();
-  await page.goto("https://duckduckgo.com", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
+  openingSessions++;
+  try {
+    return await openSession(chatId);
+  } finally {
+    openingSessions--;
+  }
+}
 
+async function openSession(chatId) {
   const sess = {
-    context,
-    pages: [page],
+    context: null,
+    pages: [],
     active: 0,
     links: [],
     media: [],
     lastMsgId: null,
     zoom: 1.0,
-    mobile,
-    viewport
+    ...emulationOf(DEFAULT_EMULATION),
+    proxy: chatProxies.get(chatId) ?? null,
+    profile: null,
+    hintMode: false,
+    keypad: false,
+    grid: { cols: GRID_COLS, rows: GRID_ROWS },
+    gridMode: false,
+    gridPath: [],
+    hints: [],
+    forms: [],
+    fields: [],
+    reader: [],
+    find: null,
+    dialog: null,
+    notices: [],
+    downloads: [],
+    upload: null,
+    chooser: null,
+    fileInputs: [],
+    recording: null,
+    secretPrompt: null,
+    linkList: { filter: "", items: [] },
+    lastUsed: Date.now()
   };
 
+  // After a restart, pick up where the chat left off
+  const saved = await readResumeProfile(chatId);
+
+  if (saved) {
+    await restoreProfile(chatId, sess, saved);
+    sess.profile = saved.name;
+  } else {
+    sess.context = await createContext(chatId, emulationOf(sess));
+    sess.pages = await openPages(sess.context, [HOME_URL]);
+  }
+
   // apply default zoom
   await applyZoomToAll(sess);
 
@@ -161,6 +782,60 @@ async function getSession(chatId) {
   return sess;
 }
 
+async function makeRoomFor(chatId) {
+  if (SESSION_LIMIT_POLICY === "evict") {
+    let victim = null;
+    for (const [id, s] of sessions) {
+      if (isChatBusy(id)) continue; // never close a browser mid-action
+      if (!victim || s.lastUsed < sessions.get(victim).lastUsed) victim = id;
+    }
+    if (victim !== null) {
+      await closeSession(victim, "⌛ Your browser session expired: it was the least recently used and another chat needed the slot. Send any command to start a new one.");
+      return;
+    }
+  }
+
+  if (!waitQueue.includes(chatId)) waitQueue.push(chatId);
+  const pos = waitQueue.indexOf(chatId) + 1;
+  throw new Error(`All ${MAX_SESSIONS} browsers are busy. Queued, you are #${pos}; I'll message you when one is free.`);
+}
+
+// Close a chat's browser, optionally telling the chat why, and hand the
+// freed slot to whoever is waiting.
+async function closeSession(chatId, notice) {
+  const sess = sessions.get(chatId);
+  if (!sess) return false;
+  sessions.delete(chatId);
+
+  // An expired session comes back exactly as it was left
+  if (sess.profile) await autosaveSession(chatId, sess).catch(() => {});
+  await discardUpload(sess);
+  await retireContext(sess.context);
+
+  if (notice) await bot.telegram.sendMessage(chatId, notice).catch(() => {});
+  admitQueued();
+  return true;
+}
+
+function admitQueued() {
+  while (waitQueue.length && slotsInUse() < MAX_SESSIONS) {
+    const chatId = waitQueue.shift();
+    getSession(chatId)
+      .then(() => bot.telegram.sendMessage(chatId, "✅ A browser is free and ready for you. Send /go <url> to start."))
+      .catch(() => {});
+  }
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [chatId, sess] of sessions) {
+    if (isChatBusy(chatId)) continue; // a long download or macro isn't idle
+    if (now - sess.lastUsed > SESSION_IDLE_MS) {
+      closeSession(chatId, `⌛ Your browser session expired after ${Math.round(SESSION_IDLE_MS / 60000)} min idle. Send any command to start a new one.`);
+    }
+  }
+}, 60 * 1000).unref();
+
 function getActivePage(sess) {
   return sess.pages[sess.active];
 }
@@ -176,498 +851,4101 @@ async function applyZoomToAll(sess) {
   await Promise.all(sess.pages.map(p => applyZoomToPage(p, sess.zoom)));
 }
 
-async function recreateSessionContext(chatId, sess, mobile) {
-  // Close old context and make a new one (needed for real mobile emulation)
-  const oldPages = sess.pages;
+// Rebuild the context with some emulation settings changed (mobile, device,
+// viewport, locale...). Cookies, storage and open tabs carry over.
+async function recreateSessionContext(chatId, sess, changes) {
+  const emu = emulationOf({ ...emulationOf(sess), ...changes });
   const activeIndex = sess.active;
-  const oldUrls = await Promise.all(oldPages.map(async (p) => p.url().catch(() => "https://duckduckgo.com")));
-
-  try { await sess.context.close(); } catch {}
+  const oldUrls = sess.pages.map(p => p.url() || HOME_URL);
+  const storageState = await sess.context.storageState().catch(() => undefined);
 
-  const viewport = mobile ? { ...MOBILE_VIEWPORT } : { ...DESKTOP_VIEWPORT };
-  const context = await createContext(mobile, viewport);
+  // Built first: a rejected setting (bad timezone id...) leaves the session as it was
+  const context = await createContext(chatId, emu, storageState);
+  await retireContext(sess.context);
 
   // recreate pages
-  const pages = [];
-  for (const u of oldUrls) {
-    const p = await context.newPage();
-    await p.goto(u || "https://duckduckgo.com", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
-    pages.push(p);
-  }
+  const pages = await openPages(context, oldUrls);
 
   sess.context = context;
   sess.pages = pages;
   sess.active = Math.min(activeIndex, pages.length - 1);
-  sess.mobile = mobile;
-  sess.viewport = viewport;
+  Object.assign(sess, emu);
+  if (emu.proxy) chatProxies.set(chatId, emu.proxy);
+  else chatProxies.delete(chatId);
+  resetGrid(sess);
 
   await applyZoomToAll(sess);
 }
 
-async function collectLinks(page) {
-  return await page.evaluate(({ maxLinks }) => {
-    const isVisible = (el) => {
-      const r = el.getBoundingClientRect();
-      if (!r || r.width < 40 || r.height < 10) return false;
-      if (r.bottom < 0 || r.top > window.innerHeight) return false;
-      const style = window.getComputedStyle(el);
-      if (style.visibility === "hidden" || style.display === "none") return false;
-      return true;
-    };
-
-    const anchors = Array.from(document.querySelectorAll("a[href]"))
-      .filter(a => isVisible(a))
-      .slice(0, maxLinks);
-
-    return anchors.map(a => ({
-      text: (a.innerText || a.textContent || "").trim().replace(/\s+/g, " ").slice(0, 60) || "Link",
-      href: a.href
-    }));
-  }, { maxLinks: MAX_LINKS });
+// "📱 iPhone 13 390×664" for captions and replies
+function emulationSummary(sess) {
+  const vp = sess.viewport;
+  const extras = [
+    sess.locale && `🌍 ${sess.locale}`,
+    sess.timezone && `🕒 ${sess.timezone}`,
+    sess.geo && `📍 ${sess.geo.latitude.toFixed(4)}, ${sess.geo.longitude.toFixed(4)}`,
+    sess.theme && (sess.theme === "dark" ? "🌙 dark" : "☀️ light"),
+    effectiveProxy(sess) && `🧭 ${redactProxy(effectiveProxy(sess))}`
+  ].filter(Boolean);
+  return `${sess.mobile ? "📱" : "🖥️"} ${sess.device || (sess.mobile ? "Mobile" : "Desktop")} ${vp.width}×${vp.height}` +
+    (extras.length ? `\n${extras.join("  |  ")}` : "");
 }
 
-async function collectMedia(page) {
-  return await page.evaluate(({ maxItems }) => {
-    const cleanText = (text) => (text || "").trim().replace(/\s+/g, " ").slice(0, 60);
-
-    const items = [];
-    const seen = new Set();
-
-    const pushItem = (url, type, label) => {
-      if (!url || seen.has(url)) return;
-      seen.add(url);
-      items.push({ url, type, label: cleanText(label) || type.toUpperCase() });
-    };
-
-    const videos = Array.from(document.querySelectorAll("video"));
-    for (const video of videos) {
-      const src = video.currentSrc || video.src;
-      if (src) pushItem(src, "video", video.getAttribute("title") || video.getAttribute("aria-label") || "Video");
-      const sources = Array.from(video.querySelectorAll("source"));
-      for (const source of sources) {
-        if (items.length >= maxItems) break;
-        pushItem(source.src, "video", source.getAttribute("title") || source.getAttribute("label") || "Video source");
-      }
-      if (items.length >= maxItems) break;
-    }
+// ----------------- Popups + JS Dialogs -----------------
+const DIALOG_TIMEOUT_MS = 2 * 60 * 1000;
 
-    const audios = Array.from(document.querySelectorAll("audio"));
-    for (const audio of audios) {
-      if (items.length >= maxItems) break;
-      const src = audio.currentSrc || audio.src;
-      if (src) pushItem(src, "audio", audio.getAttribute("title") || audio.getAttribute("aria-label") || "Audio");
-      const sources = Array.from(audio.querySelectorAll("source"));
-      for (const source of sources) {
-        if (items.length >= maxItems) break;
-        pushItem(source.src, "audio", source.getAttribute("title") || source.getAttribute("label") || "Audio source");
-      }
-    }
+function isChatBusy(chatId) {
+  return !!chatQueues.get(chatId)?.running;
+}
 
-    return items.slice(0, maxItems);
-  }, { maxItems: MAX_MEDIA_ITEMS });
+function watchPopupsAndDialogs(context, chatId) {
+  context.on("page", (page) => {
+    page.on("popup", (popup) => adoptPopup(chatId, popup).catch(() => {}));
+    page.on("dialog", (dialog) => onDialog(chatId, page, dialog).catch(() => {}));
+    page.on("close", () => forgetPage(chatId, page));
+  });
 }
 
-async function downloadMedia(url, type) {
-  const response = await fetch(url);
-  if (!response.ok) throw new Error(`Failed to download media: ${response.status}`);
+// window.open / target=_blank: becomes a real tab and the active one
+async function adoptPopup(chatId, popup) {
+  const sess = sessions.get(chatId);
+  if (!sess || sess.pages.includes(popup)) return;
 
-  const contentLength = response.headers.get("content-length");
-  if (contentLength && Number(contentLength) > MAX_MEDIA_BYTES) {
-    throw new Error("Media too large to send. Try opening it directly.");
+  if (sess.pages.length >= MAX_TABS_PER_SESSION) {
+    await popup.close().catch(() => {});
+    await bot.telegram.sendMessage(chatId, `🪟 Closed a popup: tab limit (${MAX_TABS_PER_SESSION}) reached.`).catch(() => {});
+    return;
   }
 
-  const arrayBuffer = await response.arrayBuffer();
-  if (arrayBuffer.byteLength > MAX_MEDIA_BYTES) {
-    throw new Error("Media too large to send. Try opening it directly.");
+  sess.pages.push(popup);
+  sess.active = sess.pages.length - 1;
+  await popup.waitForLoadState("domcontentloaded", { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+  await applyZoomToPage(popup, sess.zoom);
+
+  const notice = `🪟 popup opened as tab ${sess.pages.indexOf(popup) + 1}`;
+  if (isChatBusy(chatId)) {
+    // The running action's render will show it
+    sess.notices.push(notice);
+  } else {
+    await bot.telegram.sendMessage(chatId, `${notice}: ${popup.url()}\nTap 🔄 to see it.`).catch(() => {});
   }
-
-  const ext = type === "audio" ? ".mp3" : ".mp4";
-  const filePath = path.join(os.tmpdir(), `tg-browser-${Date.now()}${ext}`);
-  await fs.writeFile(filePath, Buffer.from(arrayBuffer));
-  return filePath;
 }
 
-function buildKeyboard(sess) {
-  const tabInfo = `Tab ${sess.active + 1}/${sess.pages.length}`;
-  const modeInfo = sess.mobile ? "📱" : "🖥️";
-  const zoomInfo = `${Math.round(sess.zoom * 100)}%`;
+// Pages that close themselves (popups calling window.close()) leave the tab list
+function forgetPage(chatId, page) {
+  if (retiredContexts.has(page.context())) return;
+  const sess = sessions.get(chatId);
+  const i = sess ? sess.pages.indexOf(page) : -1;
+  if (i === -1) return;
 
-  const row1 = [
-    Markup.button.callback("⬆️", "nav:up"),
-    Markup.button.callback("⬇️", "nav:down"),
-    Markup.button.callback("🔄", "nav:reload"),
-    Markup.button.callback(tabInfo, "noop")
-  ];
+  sess.pages.splice(i, 1);
+  if (sess.active >= i) sess.active = Math.max(0, sess.active - 1);
+  if (!sess.pages.length) {
+    sess.context.newPage().then(p => {
+      sess.pages.push(p);
+      sess.active = 0;
+      return p.goto(HOME_URL, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+    }).catch(() => {});
+  }
+}
 
-  const row2 = [
-    Markup.button.callback("⬅️", "nav:back"),
-    Markup.button.callback("➡️", "nav:fwd"),
-    Markup.button.callback("🏠", "nav:home"),
-    Markup.button.callback("➕Tab", "tab:new")
-  ];
+async function onDialog(chatId, page, dialog) {
+  const sess = sessions.get(chatId);
+  const type = dialog.type();
 
-  const row3 = [
-    Markup.button.callback(`🧊 Grid`, "grid:show"),
-    Markup.button.callback(`🔍➖`, "zoom:out"),
-    Markup.button.callback(`🔍➕`, "zoom:in"),
-    Markup.button.callback(`${modeInfo} ${zoomInfo}`, "noop")
-  ];
+  // Leaving a page shouldn't need a round trip through the chat
+  if (!sess || type === "beforeunload") return dialog.accept().catch(() => {});
+  // One at a time; a page spamming dialogs gets the rest dismissed
+  if (sess.dialog) return dialog.dismiss().catch(() => {});
 
-  const row4 = [
-    Markup.button.callback("⤒ Top", "nav:top"),
-    Markup.button.callback("⤓ Bottom", "nav:bottom"),
-    Markup.button.callback("📸 Full", "shot:full"),
-    Markup.button.callback("🔗 URL", "info:url")
-  ];
+  const pending = { dialog, type, text: "", msgId: null, timer: null };
+  sess.dialog = pending;
 
-  const row5 = [
-    Markup.button.callback("📑 Tabs", "tab:list"),
-    Markup.button.callback("🧹 Close Tab", "tab:close")
-  ];
+  let host = "";
+  try { host = new URL(page.url()).host; } catch {}
+  const defaultValue = dialog.defaultValue();
+  pending.text =
+    `💬 ${type} from ${host || "page"}:\n\n${dialog.message().slice(0, 3000)}` +
+    (type === "prompt" ? `\n\n✏️ Reply to this message with your answer${defaultValue ? ` (default: ${defaultValue})` : ""}.` : "");
 
-  const linkButtons = sess.links.map((l, i) =>
-    Markup.button.callback(`${i + 1}) ${l.text}`, `link:${i}`)
-  );
+  const buttons = [Markup.button.callback("✅ OK", "dlg:ok")];
+  if (type !== "alert") buttons.push(Markup.button.callback("❌ Cancel", "dlg:cancel"));
 
-  const linkRows = [];
-  for (let i = 0; i < linkButtons.length; i += 2) linkRows.push(linkButtons.slice(i, i + 2));
+  pending.timer = setTimeout(() => {
+    settleDialog(chatId, false, undefined, "⌛ No answer, dismissed.").catch(() => {});
+  }, DIALOG_TIMEOUT_MS);
 
-  const rows = [row1, row2, row3, row4, row5, ...linkRows];
-  return Markup.inlineKeyboard(rows);
+  const msg = await bot.telegram.sendMessage(chatId, pending.text, Markup.inlineKeyboard([buttons]));
+  pending.msgId = msg.message_id;
 }
 
-function gridKeyboard() {
-  // A..F columns, 1..4 rows
-  const cols = Array.from({ length: GRID_COLS }, (_, i) => String.fromCharCode(65 + i)); // A-F
-  const rows = [];
+async function settleDialog(chatId, accept, promptText, note) {
+  const sess = sessions.get(chatId);
+  const pending = sess?.dialog;
+  if (!pending) return false;
+
+  clearTimeout(pending.timer);
+  sess.dialog = null;
+  if (accept) await pending.dialog.accept(promptText).catch(() => {});
+  else await pending.dialog.dismiss().catch(() => {});
 
-  for (let r = 1; r <= GRID_ROWS; r++) {
-    const rowButtons = cols.map((c) => Markup.button.callback(`${c}${r}`, `grid:cell:${c}${r}`));
-    rows.push(rowButtons);
+  if (pending.msgId) {
+    await bot.telegram.editMessageText(chatId, pending.msgId, undefined, `${pending.text}\n\n${note}`).catch(() => {});
   }
-  rows.push([Markup.button.callback("❌ Close Grid", "grid:close")]);
-  return Markup.inlineKeyboard(rows);
+  return true;
 }
 
-function cellToCenterCoords(cell, viewport) {
-  // cell like "B3"
-  const colChar = cell[0].toUpperCase();
-  const rowNum = Number(cell.slice(1));
-  const colIndex = colChar.charCodeAt(0) - 65; // A=0
-  const rowIndex = rowNum - 1;
+// Dialog answers (and macro password replies) skip the per-chat queue: the action waiting in it is blocked on them
+function isDialogAnswer(ctx) {
+  if (ctx.callbackQuery?.data?.startsWith("dlg:")) return true;
+  const replyTo = ctx.message?.reply_to_message?.message_id;
+  const sess = sessions.get(ctx.chat?.id);
+  return !!replyTo && (sess?.dialog?.msgId === replyTo || sess?.secretPrompt?.msgId === replyTo);
+}
 
-  const cellW = viewport.width / GRID_COLS;
-  const cellH = viewport.height / GRID_ROWS;
+// ----------------- Browser Downloads -----------------
+const MAX_DOWNLOAD_LOG = 20;
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+const DOWNLOAD_QUOTA_BYTES = envInt("DOWNLOAD_QUOTA_MB", 500) * 1024 * 1024;
+const EXPECTED_SIZE_TTL_MS = 60 * 1000;
+const DOWNLOAD_POLL_MS = 1000;
+// Every browser download is written here, named by an id Playwright keeps to itself
+const DOWNLOAD_DIR = path.join(os.tmpdir(), `tg-browser-downloads-${process.pid}`);
+
+let downloadDiskUse = 0;            // bytes reserved/held by downloads on disk, all chats
+const expectedDownloadSizes = new WeakMap(); // context -> Map(url -> { bytes, at }) from attachment responses
+const inFlightDownloads = [];       // { file } per running download, oldest first
+const finishedDownloadFiles = new Set(); // complete files in DOWNLOAD_DIR waiting to be sent
+let nextDownloadId = 1;
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+function watchDownloads(context, chatId) {
+  // Playwright reports no progress while the browser writes the file, so
+  // learn the size from the response headers and refuse before it starts.
+  // Anything else is measured on disk while it downloads.
+  const sizes = new Map();
+  expectedDownloadSizes.set(context, sizes);
+  context.on("response", (response) => {
+    const headers = response.headers();
+    const length = Number(headers["content-length"]);
+    if (!length || !/attachment/i.test(headers["content-disposition"] || "")) return;
+    if (sizes.size > 200) sizes.clear();
+    sizes.set(response.url(), { bytes: length, at: Date.now() });
+  });
+
+  context.on("page", (page) => {
+    page.on("download", (download) => handleDownload(chatId, download).catch(() => {}));
+  });
+}
+
+async function handleDownload(chatId, download) {
+  const sess = sessions.get(chatId);
+  const entry = {
+    id: nextDownloadId++,
+    name: download.suggestedFilename() || "download",
+    url: download.url(),
+    status: "in progress",
+    bytes: null,
+    at: Date.now()
+  };
+  if (sess) {
+    sess.downloads.unshift(entry);
+    sess.downloads.length = Math.min(sess.downloads.length, MAX_DOWNLOAD_LOG);
+  }
+  const say = (text) => bot.telegram.sendMessage(chatId, text).catch(() => {});
+
+  const sizes = expectedDownloadSizes.get(download.page().context());
+  const expected = sizes?.get(entry.url);
+  const known = expected && Date.now() - expected.at < EXPECTED_SIZE_TTL_MS ? expected.bytes : 0;
+  sizes?.delete(entry.url);
+
+  if (known > MAX_MEDIA_BYTES) {
+    entry.status = "too large";
+    entry.bytes = known;
+    await download.cancel().catch(() => {});
+    return say(`⬇️ ${entry.name}: ${formatBytes(known)} is over the ${formatBytes(MAX_MEDIA_BYTES)} limit, cancelled.`);
+  }
+  if (downloadDiskUse + known > DOWNLOAD_QUOTA_BYTES) {
+    entry.status = "failed (disk quota)";
+    await download.cancel().catch(() => {});
+    return say(`⬇️ ${entry.name}: download space is full right now, try again later.`);
+  }
+
+  let reserved = known;
+  downloadDiskUse += reserved;
+  await say(`⬇️ Downloading ${entry.name}${known ? ` (${formatBytes(known)})` : ""}… /downloads for status`);
+
+  // Grow the reservation with the partial file and stop once a limit is crossed
+  const slot = { file: null };
+  inFlightDownloads.push(slot);
+  let finished = false;
+  let overLimit = null;
+  const finishing = pTimeout(download.failure(), { milliseconds: DOWNLOAD_TIMEOUT_MS })
+    .catch(() => "timed out")
+    .finally(() => { finished = true; });
+  const measuring = (async () => {
+    while (!finished && !overLimit) {
+      await Promise.race([finishing, new Promise(resolve => setTimeout(resolve, DOWNLOAD_POLL_MS))]);
+      if (finished) return;
+      const partial = await partialDownloads();
+      const bytes = partial.get(slot.file) || 0;
+      if (bytes <= reserved) continue;
+      downloadDiskUse += bytes - reserved;
+      reserved = bytes;
+      if (bytes > MAX_MEDIA_BYTES) overLimit = "too large";
+      else if (downloadDiskUse > DOWNLOAD_QUOTA_BYTES) overLimit = "failed (disk quota)";
+      if (overLimit) await download.cancel().catch(() => {});
+    }
+  })();
+
+  let file = null;
+  try {
+    const failure = await finishing;
+    await measuring;
+    // Done or not, its file can't be claimed anymore
+    inFlightDownloads.splice(inFlightDownloads.indexOf(slot), 1);
+    if (overLimit) {
+      entry.status = overLimit;
+      entry.bytes = reserved;
+      return say(overLimit === "too large"
+        ? `⬇️ ${entry.name}: over the ${formatBytes(MAX_MEDIA_BYTES)} limit, cancelled.`
+        : `⬇️ ${entry.name}: download space is full right now, cancelled.`);
+    }
+    if (failure) {
+      await download.cancel().catch(() => {});
+      entry.status = failure === "canceled" ? "cancelled" : "failed";
+      return say(`⬇️ ${entry.name}: ${failure}.`);
+    }
+
+    file = await download.path();
+    finishedDownloadFiles.add(path.basename(file));
+    const { size } = await fs.stat(file);
+    entry.bytes = size;
+    downloadDiskUse += size - reserved;
+    reserved = size;
+
+    if (size > MAX_MEDIA_BYTES) {
+      entry.status = "too large";
+      return say(`⬇️ ${entry.name}: ${formatBytes(size)} is over the ${formatBytes(MAX_MEDIA_BYTES)} limit.`);
+    }
+    if (downloadDiskUse > DOWNLOAD_QUOTA_BYTES) {
+      entry.status = "failed (disk quota)";
+      return say(`⬇️ ${entry.name}: download space is full right now, try again later.`);
+    }
+
+    await bot.telegram.sendDocument(chatId, { source: file, filename: entry.name }, { caption: `⬇️ ${entry.name} (${formatBytes(size)})` });
+    entry.status = "done";
+  } catch (e) {
+    entry.status = "failed";
+    await say(`⬇️ ${entry.name}: ${e.message || "failed"}.`);
+  } finally {
+    if (file) finishedDownloadFiles.delete(path.basename(file));
+    await download.delete().catch(() => {});
+    downloadDiskUse -= reserved;
+  }
+}
+
+// Sizes of the unfinished downloads by file name. Playwright doesn't say
+// which file is whose, so a new one goes to the oldest download without one
+// (files appear in the order the download events fire).
+async function partialDownloads() {
+  const names = (await fs.readdir(DOWNLOAD_DIR).catch(() => [])).filter(n => !finishedDownloadFiles.has(n));
+  for (const slot of inFlightDownloads) if (finishedDownloadFiles.has(slot.file)) slot.file = null;
+  const files = await Promise.all(names.map(async (name) => {
+    const stat = await fs.stat(path.join(DOWNLOAD_DIR, name)).catch(() => null);
+    return stat && { name, bytes: stat.size, born: stat.birthtimeMs || stat.ctimeMs };
+  }));
+  const sizes = new Map();
+  for (const f of files.filter(Boolean).sort((a, b) => a.born - b.born)) {
+    sizes.set(f.name, f.bytes);
+    if (inFlightDownloads.some(s => s.file === f.name)) continue;
+    const slot = inFlightDownloads.find(s => !s.file);
+    if (slot) slot.file = f.name;
+  }
+  return sizes;
+}
+
+// ----------------- Content Blocking -----------------
+// Filter lists: EasyList-style rules (||host^, /path/*, @@exceptions, $type
+// options) or hosts files, one or more *.txt files in FILTER_DIR.
+const FILTER_DIR = process.env.FILTER_DIR || path.join(process.cwd(), "filters");
+const BLOCK_KINDS = ["ads", "images", "fonts", "media", "cookies"];
+const DEFAULT_BLOCKING = { ads: true, images: false, fonts: false, media: false, cookies: true };
+const BLOCK_RESOURCE_TYPES = { images: "image", fonts: "font", media: "media" };
+const CONSENT_ATTEMPTS = 3;
+const CONSENT_RETRY_MS = 1200;
+
+// $option -> Playwright resourceType(s)
+const FILTER_TYPES = {
+  script: ["script"],
+  image: ["image"],
+  stylesheet: ["stylesheet"],
+  font: ["font"],
+  media: ["media"],
+  xmlhttprequest: ["xhr", "fetch"],
+  subdocument: ["document"],
+  websocket: ["websocket"],
+  ping: ["ping", "beacon"],
+  other: ["other", "manifest", "texttrack", "eventsource"]
+};
+
+const newFilterSet = () => ({ hosts: new Set(), byToken: new Map(), loose: [] });
+const filters = { block: newFilterSet(), allow: newFilterSet(), rules: 0 };
+
+// page -> { requests, consent } since the page's last navigation
+const blockStats = new WeakMap();
+
+// CMP buttons that refuse, or close the banner without an answer
+const CONSENT_REJECT_SELECTORS = [
+  "#onetrust-reject-all-handler", "#CybotCookiebotDialogBodyButtonDecline", "#didomi-notice-disagree-button",
+  ".qc-cmp2-summary-buttons button[mode=secondary]", "button.fc-cta-do-not-consent", "[data-testid=uc-deny-all-button]",
+  ".cmpboxbtnno", "#truste-consent-required", "#onetrust-close-btn-container button", ".onetrust-close-btn-handler"
+];
+// Consenting on the chat's behalf: only with /block cookies accept
+const CONSENT_ACCEPT_SELECTORS = [
+  "#onetrust-accept-btn-handler", "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll", "#didomi-notice-agree-button",
+  "button.fc-cta-consent", "[data-testid=uc-accept-all-button]", ".cmpboxbtnyes", "#truste-consent-button",
+  ".cc-window .cc-dismiss", ".cc-window .cc-allow"
+];
+const CONSENT_REJECT_RE = "^(reject( all)?|decline( all)?|deny( all)?|refuse( all)?|only (necessary|essential)( cookies)?|necessary only|alle ablehnen|ablehnen|tout refuser|rechazar( todo)?|rifiuta( tutto)?|close|×|✕|schließen|fermer|cerrar|chiudi)$";
+const CONSENT_ACCEPT_RE = "^(accept( all)?( cookies)?|agree|i agree|allow all|got it|ok|okay|alle akzeptieren|akzeptieren|tout accepter|accepter|aceptar( todo)?|accetta( tutto)?)$";
+
+function filterToRegExp(pattern) {
+  let start = "";
+  let end = "";
+  if (pattern.startsWith("||")) {
+    start = "^[a-z][a-z0-9+.-]*://(?:[^/?#]*\\.)?";
+    pattern = pattern.slice(2);
+  } else if (pattern.startsWith("|")) {
+    start = "^";
+    pattern = pattern.slice(1);
+  }
+  if (pattern.endsWith("|")) {
+    end = "$";
+    pattern = pattern.slice(0, -1);
+  }
+  const body = Array.from(pattern, c =>
+    c === "*" ? ".*" : c === "^" ? "(?:[^\\w.%-]|$)" : c.replace(/[.+?${}()|[\]\\/]/g, "\\$&")
+  ).join("");
+  return new RegExp(start + body + end, "i");
+}
+
+// Longest alphanumeric run of the pattern that is a whole token of any URL it
+// matches, so lookups only try the rules that share a token with the URL.
+function filterToken(pattern) {
+  const body = pattern.replace(/^\|\|?/, "").replace(/\|$/, "");
+  let best = "";
+  for (const m of body.matchAll(/[a-z0-9%]{3,}/gi)) {
+    const before = body[m.index - 1];
+    const after = body[m.index + m[0].length];
+    if (before === "*" || after === "*") continue;
+    if (before === undefined && !pattern.startsWith("|")) continue;
+    if (after === undefined && !pattern.endsWith("|") && !pattern.endsWith("^")) continue;
+    if (m[0].length > best.length) best = m[0];
+  }
+  return best.toLowerCase() || null;
+}
+
+// -> { exception, host } | { exception, re, token, types, thirdParty } | null
+function parseFilterLine(raw) {
+  let line = raw.trim();
+  if (!line || /^[![]/.test(line) || /#[@?$]?#/.test(line)) return null;
+
+  const hostsEntry = /^(?:0\.0\.0\.0|127\.0\.0\.1)\s+([\w.-]+)/.exec(line);
+  if (hostsEntry) return hostsEntry[1] === "localhost" ? null : { exception: false, host: hostsEntry[1].toLowerCase() };
+
+  const rule = { exception: line.startsWith("@@"), types: null, thirdParty: null };
+  if (rule.exception) line = line.slice(2);
+  // /regex/ rules are rare and slow; skip them
+  if (line.startsWith("/") && line.endsWith("/") && line.length > 2) return null;
+
+  const dollar = line.lastIndexOf("$");
+  const options = dollar > 0 ? line.slice(dollar + 1).split(",") : [];
+  if (dollar > 0) line = line.slice(0, dollar);
+
+  for (const option of options) {
+    const negated = option.startsWith("~");
+    const name = negated ? option.slice(1) : option;
+    if (name === "third-party" || name === "3p") {
+      rule.thirdParty = !negated;
+    } else if (FILTER_TYPES[name] && !negated) {
+      rule.types = new Set([...(rule.types || []), ...FILTER_TYPES[name]]);
+    } else if (name !== "important" && name !== "match-case") {
+      // domain=, csp=, redirect=, negated types...: better to skip than over-block
+      return null;
+    }
+  }
+  if (!line || line === "|" || line === "||" || line === "*") return null;
+
+  const hostOnly = /^\|\|([a-z0-9.-]+)\^?$/i.exec(line);
+  if (hostOnly && !rule.types && rule.thirdParty === null) return { ...rule, host: hostOnly[1].toLowerCase() };
+
+  return { ...rule, re: filterToRegExp(line), token: filterToken(line) };
+}
+
+async function loadFilterLists() {
+  const files = await fs.readdir(FILTER_DIR).catch(() => []);
+  for (const file of files.filter(f => f.endsWith(".txt")).sort()) {
+    const text = await fs.readFile(path.join(FILTER_DIR, file), "utf8").catch(() => "");
+    for (const line of text.split(/\r?\n/)) {
+      const rule = parseFilterLine(line);
+      if (!rule) continue;
+      const set = rule.exception ? filters.allow : filters.block;
+      if (rule.host) {
+        set.hosts.add(rule.host);
+      } else if (rule.token) {
+        if (!set.byToken.has(rule.token)) set.byToken.set(rule.token, []);
+        set.byToken.get(rule.token).push(rule);
+      } else {
+        set.loose.push(rule);
+      }
+      filters.rules++;
+    }
+  }
+}
+
+function hostListed(hosts, host) {
+  const labels = host.split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (hosts.has(labels.slice(i).join("."))) return true;
+  }
+  return false;
+}
+
+// Last two labels: rough for co.uk-style suffixes, but only used to tell
+// first from third party.
+const siteOf = (host) => host.split(".").slice(-2).join(".");
+
+function filterSetMatches(set, host, url, tokens, type, thirdParty) {
+  if (hostListed(set.hosts, host)) return true;
+  const matches = (rule) =>
+    (!rule.types || rule.types.has(type)) &&
+    (rule.thirdParty === null || rule.thirdParty === thirdParty) &&
+    rule.re.test(url);
+  for (const token of tokens) {
+    if (set.byToken.get(token)?.some(matches)) return true;
+  }
+  return set.loose.some(matches);
+}
+
+function isFilteredOut(request) {
+  const url = request.url();
+  let host;
+  let pageHost = "";
+  try {
+    host = new URL(url).hostname.toLowerCase();
+    pageHost = new URL(request.frame().url()).hostname.toLowerCase();
+  } catch {}
+  if (!host) return false;
+
+  const type = request.resourceType();
+  const thirdParty = !!pageHost && siteOf(host) !== siteOf(pageHost);
+  const tokens = new Set(url.toLowerCase().match(/[a-z0-9%]{3,}/g) || []);
+  if (filterSetMatches(filters.allow, host, url, tokens, type, thirdParty)) return false;
+  return filterSetMatches(filters.block, host, url, tokens, type, thirdParty);
+}
+
+async function getBlocking(chatId) {
+  const settings = await loadChatDoc("blocking", chatId, { ...DEFAULT_BLOCKING });
+  for (const kind of BLOCK_KINDS) settings[kind] ??= DEFAULT_BLOCKING[kind];
+  return settings;
+}
+
+function blockStatsOf(page) {
+  if (!blockStats.has(page)) blockStats.set(page, { requests: 0, consent: false });
+  return blockStats.get(page);
+}
+
+// Registered after the request guard, so it runs first: blocked requests
+// never reach the network at all.
+async function installContentBlocker(context, chatId) {
+  await context.route("**/*", async (route) => {
+    const request = route.request();
+    let page = null;
+    try { page = request.frame().page(); } catch {}
+    // Never the page itself, only what it pulls in
+    if (!page || (request.isNavigationRequest() && request.frame() === page.mainFrame())) {
+      return route.fallback().catch(() => {});
+    }
+
+    const settings = await getBlocking(chatId);
+    const type = request.resourceType();
+    const blocked =
+      Object.entries(BLOCK_RESOURCE_TYPES).some(([kind, t]) => settings[kind] && type === t) ||
+      (settings.ads && isFilteredOut(request));
+    if (!blocked) return route.fallback().catch(() => {});
+
+    blockStatsOf(page).requests++;
+    return route.abort("blockedbyclient").catch(() => {});
+  });
+
+  context.on("page", (page) => {
+    page.on("framenavigated", (frame) => {
+      if (frame === page.mainFrame()) blockStats.set(page, { requests: 0, consent: false });
+    });
+    page.on("domcontentloaded", () => dismissConsent(chatId, page).catch(() => {}));
+  });
+}
+
+function blockedCaption(page) {
+  const stats = blockStats.get(page);
+  if (!stats || (!stats.requests && !stats.consent)) return "";
+  return `\n🛡️ Blocked: ${stats.requests} request${stats.requests === 1 ? "" : "s"}` +
+    (stats.consent ? "  |  🍪 cookie banner dismissed" : "");
+}
+
+// Consent banners often show up a moment after load, so try a few times
+async function dismissConsent(chatId, page) {
+  for (let attempt = 0; attempt < CONSENT_ATTEMPTS; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, CONSENT_RETRY_MS));
+    const { cookies } = await getBlocking(chatId);
+    if (page.isClosed() || !cookies) return;
+    const accept = cookies === "accept";
+    const selectors = accept ? [...CONSENT_REJECT_SELECTORS, ...CONSENT_ACCEPT_SELECTORS] : CONSENT_REJECT_SELECTORS;
+    const patterns = accept ? [CONSENT_REJECT_RE, CONSENT_ACCEPT_RE] : [CONSENT_REJECT_RE];
+
+    for (const frame of page.frames()) {
+      if (frame.isDetached()) continue;
+      const clicked = await frame.evaluate(({ selectors, patterns }) => {
+        const visible = (el) => el.getClientRects().length && window.getComputedStyle(el).visibility !== "hidden";
+        for (const sel of selectors) {
+          const el = document.querySelector(sel);
+          if (el && visible(el)) {
+            el.click();
+            return true;
+          }
+        }
+        const boxes = document.querySelectorAll(
+          "[id*=cookie i], [class*=cookie i], [id*=consent i], [class*=consent i], [id*=gdpr i], [class*=gdpr i], " +
+          "[aria-label*=cookie i], [aria-label*=consent i]"
+        );
+        for (const re of patterns.map(p => new RegExp(p, "i"))) {
+          for (const box of boxes) {
+            for (const b of box.querySelectorAll("button, [role=button], input[type=button], input[type=submit]")) {
+              const text = (b.innerText || b.value || b.getAttribute("aria-label") || "").trim().replace(/\s+/g, " ");
+              if (text.length < 40 && re.test(text) && visible(b)) {
+                b.click();
+                return true;
+              }
+            }
+          }
+        }
+        return false;
+      }, { selectors, patterns }).catch(() => false);
+
+      if (clicked) {
+        blockStatsOf(page).consent = true;
+        return;
+      }
+    }
+  }
+}
+
+// ----------------- Profiles (saved cookies, storage + tabs) -----------------
+const PROFILE_NAME_RE = /^[\w-]{1,32}$/;
+const AUTOSAVE_FILE = ".autosave.json"; // not a valid profile name, so never listed
+
+function profileDir(chatId) {
+  return path.join(DATA_DIR, "profiles", String(chatId));
+}
+
+async function readProfile(chatId, name) {
+  return await readJson(path.join(profileDir(chatId), `${name}.json`));
+}
+
+async function readLastProfileName(chatId) {
+  const last = await fs.readFile(path.join(profileDir(chatId), ".last"), "utf8").catch(() => "");
+  return PROFILE_NAME_RE.test(last.trim()) ? last.trim() : null;
+}
+
+// What a chat comes back with: the state its session was closed in, else the
+// named profile it last used. -> profile + { name } of the profile in use
+async function readResumeProfile(chatId) {
+  const autosave = await readJson(path.join(profileDir(chatId), AUTOSAVE_FILE));
+  if (autosave) return autosave;
+  const name = await readLastProfileName(chatId);
+  const saved = name ? await readProfile(chatId, name) : null;
+  return saved && { ...saved, name };
+}
+
+async function setLastProfileName(chatId, name) {
+  const file = path.join(profileDir(chatId), ".last");
+  if (!name) return fs.unlink(file).catch(() => {});
+  await fs.mkdir(profileDir(chatId), { recursive: true });
+  await fs.writeFile(file, name, { mode: 0o600 });
+}
+
+async function listProfiles(chatId) {
+  const files = await fs.readdir(profileDir(chatId)).catch(() => []);
+  return files
+    .filter(f => f.endsWith(".json"))
+    .map(f => f.slice(0, -".json".length))
+    .filter(name => PROFILE_NAME_RE.test(name))
+    .sort();
+}
+
+async function snapshotSession(sess) {
+  // Without the proxy: its URL may carry a password (see chatProxies)
+  const { proxy, ...emulation } = emulationOf(sess);
+  return {
+    version: 1,
+    savedAt: new Date().toISOString(),
+    storageState: await sess.context.storageState(),
+    tabs: sess.pages.map(p => p.url() || HOME_URL),
+    active: sess.active,
+    zoom: sess.zoom,
+    ...emulation
+  };
+}
+
+// Only ever on /profile save: named profiles are the user's snapshots
+async function saveProfile(chatId, sess, name) {
+  const profile = await snapshotSession(sess);
+  await writeJson(path.join(profileDir(chatId), `${name}.json`), profile);
+  await setLastProfileName(chatId, name);
+  sess.profile = name;
+  return profile;
+}
+
+// Closing, eviction and restarts keep the chat's state in its own slot
+async function autosaveSession(chatId, sess) {
+  const profile = await snapshotSession(sess);
+  await writeJson(path.join(profileDir(chatId), AUTOSAVE_FILE), { ...profile, name: sess.profile });
+}
+
+async function clearAutosave(chatId) {
+  await fs.unlink(path.join(profileDir(chatId), AUTOSAVE_FILE)).catch(() => {});
+}
+
+// Swap the session's context for one built from a saved profile.
+async function restoreProfile(chatId, sess, profile) {
+  const emu = emulationOf({ ...profile, proxy: sess.proxy });
+  const context = await createContext(chatId, emu, profile.storageState);
+  const tabs = profile.tabs?.length ? profile.tabs.slice(0, MAX_TABS_PER_SESSION) : [HOME_URL];
+  const pages = await openPages(context, tabs);
+
+  if (sess.context) await retireContext(sess.context);
+
+  sess.context = context;
+  sess.pages = pages;
+  sess.active = Math.max(0, Math.min(profile.active || 0, pages.length - 1));
+  sess.links = [];
+  sess.media = [];
+  sess.hints = [];
+  sess.forms = [];
+  sess.fields = [];
+  sess.zoom = profile.zoom || 1.0;
+  Object.assign(sess, emu);
+  resetGrid(sess);
+}
+
+// ----------------- History + Bookmarks -----------------
+const HISTORY_MAX = 500;
+const HISTORY_PAGE_SIZE = 8;
+const BOOKMARKS_MAX = 100;
+
+const historyQueries = new Map(); // chatId -> filter of the last /history listing
+
+/**
+ * History doc:   { nextId, entries: {id, url, title, at}[] }   (oldest first)
+ * Bookmarks doc: { nextId, items: {id, name, url, at}[] }
+ */
+async function getHistory(chatId) {
+  return await loadChatDoc("history", chatId, { nextId: 1, entries: [] });
+}
+
+async function getBookmarks(chatId) {
+  return await loadChatDoc("bookmarks", chatId, { nextId: 1, items: [] });
+}
+
+async function recordHistory(chatId, url, title) {
+  if (!/^https?:/.test(url)) return null;
+  const hist = await getHistory(chatId);
+
+  // Reloads and in-page re-renders shouldn't flood the list
+  const last = hist.entries[hist.entries.length - 1];
+  if (last?.url === url) return last;
+
+  const entry = { id: hist.nextId++, url, title: title || "", at: Date.now() };
+  hist.entries.push(entry);
+  if (hist.entries.length > HISTORY_MAX) hist.entries.splice(0, hist.entries.length - HISTORY_MAX);
+  saveChatDoc("history", chatId);
+  return entry;
+}
+
+function trackHistory(context, chatId) {
+  const watch = (page) => {
+    page.on("framenavigated", async (frame) => {
+      if (frame !== page.mainFrame()) return;
+      const entry = await recordHistory(chatId, frame.url()).catch(() => null);
+      if (!entry || entry.title) return;
+
+      // The title usually isn't there yet when the navigation commits
+      await page.waitForLoadState("domcontentloaded", { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+      entry.title = await page.title().catch(() => "");
+      saveChatDoc("history", chatId);
+    });
+  };
+  context.pages().forEach(watch);
+  context.on("page", watch);
+}
+
+function shortHost(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ""); } catch { return ""; }
+}
+
+function entryLabel(title, url, max = 48) {
+  const label = title || shortHost(url) || url;
+  return label.length > max ? `${label.slice(0, max - 1)}…` : label;
+}
+
+async function historyListing(chatId, pageNo) {
+  const hist = await getHistory(chatId);
+  const query = (historyQueries.get(chatId) || "").toLowerCase();
+  const matches = hist.entries
+    .filter(e => !query || e.url.toLowerCase().includes(query) || e.title.toLowerCase().includes(query))
+    .reverse();
+
+  if (!matches.length) return { text: query ? `No history matching "${query}".` : "History is empty.", keyboard: null };
+
+  const pages = Math.ceil(matches.length / HISTORY_PAGE_SIZE);
+  const n = Math.max(0, Math.min(pageNo, pages - 1));
+  const slice = matches.slice(n * HISTORY_PAGE_SIZE, (n + 1) * HISTORY_PAGE_SIZE);
+
+  const rows = slice.map(e => [Markup.button.callback(`🕘 ${entryLabel(e.title, e.url)}`, `hist:open:${e.id}`)]);
+  rows.push([
+    Markup.button.callback("◀", `hist:page:${Math.max(0, n - 1)}`),
+    Markup.button.callback(`${n + 1}/${pages}`, "noop"),
+    Markup.button.callback("▶", `hist:page:${Math.min(pages - 1, n + 1)}`)
+  ]);
+
+  const text = `🕘 History${query ? ` matching "${query}"` : ""}: ${matches.length} entr${matches.length === 1 ? "y" : "ies"}`;
+  return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+async function bookmarksListing(chatId) {
+  const { items } = await getBookmarks(chatId);
+  if (!items.length) return { text: "No bookmarks yet. Use /bookmark [name] or the ⭐ button.", keyboard: null };
+
+  const lines = items.map((b, i) => `${i + 1}) ${b.name}\n   ${b.url}`);
+  const rows = items.map((b, i) => [Markup.button.callback(`⭐ ${i + 1}) ${entryLabel(b.name, b.url)}`, `bm:open:${b.id}`)]);
+  return { text: `⭐ Bookmarks:\n\n${lines.join("\n")}`, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+async function addBookmark(chatId, url, name) {
+  const bm = await getBookmarks(chatId);
+  const existing = bm.items.find(b => b.url === url);
+  if (existing) {
+    if (name) existing.name = name;
+    saveChatDoc("bookmarks", chatId);
+    return existing;
+  }
+  if (bm.items.length >= BOOKMARKS_MAX) throw new Error(`Bookmark limit reached (${BOOKMARKS_MAX}). Remove some with /unbookmark.`);
+
+  const item = { id: bm.nextId++, name: name || shortHost(url) || url, url, at: Date.now() };
+  bm.items.push(item);
+  saveChatDoc("bookmarks", chatId);
+  return item;
+}
+
+async function removeBookmark(chatId, predicate) {
+  const bm = await getBookmarks(chatId);
+  const i = bm.items.findIndex(predicate);
+  if (i === -1) return null;
+  const [removed] = bm.items.splice(i, 1);
+  saveChatDoc("bookmarks", chatId);
+  return removed;
+}
+
+// 🏠 opens the bookmark named "home" when there is one
+async function homeUrl(chatId) {
+  const { items } = await getBookmarks(chatId);
+  return items.find(b => b.name.toLowerCase() === "home")?.url || HOME_URL;
+}
+
+async function openInActiveTab(sess, url) {
+  const page = getActivePage(sess);
+  await safeRun(async () => {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+    await page.waitForTimeout(450);
+    await applyZoomToPage(page, sess.zoom);
+  });
+}
+
+async function collectLinks(page) {
+  return await page.evaluate(({ maxLinks }) => {
+    const isVisible = (el) => {
+      const r = el.getBoundingClientRect();
+      if (!r || r.width < 40 || r.height < 10) return false;
+      if (r.bottom < 0 || r.top > window.innerHeight) return false;
+      const style = window.getComputedStyle(el);
+      if (style.visibility === "hidden" || style.display === "none") return false;
+      return true;
+    };
+
+    const anchors = Array.from(document.querySelectorAll("a[href]"))
+      .filter(a => isVisible(a))
+      .slice(0, maxLinks);
+
+    return anchors.map(a => ({
+      text: (a.innerText || a.textContent || "").trim().replace(/\s+/g, " ").slice(0, 60) || "Link",
+      href: a.href
+    }));
+  }, { maxLinks: MAX_LINKS });
+}
+
+// ----------------- Link Browser -----------------
+const MAX_ALL_LINKS = 500;
+const LINKS_PAGE_SIZE = 10;
+const MAX_COPY_TEXT = 256; // Bot API limit for copy_text buttons
+
+// Every http(s) link on the page, on screen or not, all frames; deduped by URL
+// `filter` applies before the cap, so matches past link MAX_ALL_LINKS still show up
+async function collectAllLinks(page, filter = "") {
+  const q = filter.toLowerCase();
+  const links = [];
+  const seen = new Set();
+  for (const frame of page.frames()) {
+    if (links.length >= MAX_ALL_LINKS) break;
+    if (frame.isDetached()) continue;
+
+    const found = await frame.evaluate(() => Array.from(document.querySelectorAll("a[href]"), a => ({
+      text: (a.innerText || a.getAttribute("aria-label") || a.title || a.querySelector("img[alt]")?.alt || "")
+        .trim().replace(/\s+/g, " ").slice(0, 80),
+      href: a.href
+    }))).catch(() => []);
+
+    for (const link of found) {
+      if (!/^https?:/.test(link.href) || seen.has(link.href)) continue;
+      seen.add(link.href);
+      if (q && !link.text.toLowerCase().includes(q) && !link.href.toLowerCase().includes(q)) continue;
+      links.push(link);
+      if (links.length >= MAX_ALL_LINKS) break;
+    }
+  }
+  return links;
+}
+
+function linksListing(sess, pageNo) {
+  const { items, filter } = sess.linkList;
+  if (!items.length) {
+    return { text: filter ? `No links matching "${filter}".` : "No links on this page.", keyboard: null };
+  }
+
+  const pages = Math.ceil(items.length / LINKS_PAGE_SIZE);
+  const n = Math.max(0, Math.min(pageNo, pages - 1));
+  const start = n * LINKS_PAGE_SIZE;
+  const slice = items.slice(start, start + LINKS_PAGE_SIZE);
+
+  const lines = slice.map((l, i) => `${start + i + 1}) ${l.text || "(no text)"}\n   ${shortHost(l.href)}`);
+  const rows = slice.map((l, i) => {
+    const k = start + i;
+    return [
+      Markup.button.callback(`${k + 1} ▶ Open`, `lk:open:${k}`),
+      Markup.button.callback(`${k + 1} ➕ Tab`, `lk:tab:${k}`),
+      // Native copy button where the URL fits, otherwise send it as a message
+      l.href.length <= MAX_COPY_TEXT
+        ? { text: `${k + 1} 📋 URL`, copy_text: { text: l.href } }
+        : Markup.button.callback(`${k + 1} 📋 URL`, `lk:copy:${k}`)
+    ];
+  });
+  rows.push([
+    Markup.button.callback("◀", `lk:page:${Math.max(0, n - 1)}`),
+    Markup.button.callback(`${n + 1}/${pages}`, "noop"),
+    Markup.button.callback("▶", `lk:page:${Math.min(pages - 1, n + 1)}`)
+  ]);
+
+  const text = `🔗 Links${filter ? ` matching "${filter}"` : ""}: ${items.length}` +
+    (items.length >= MAX_ALL_LINKS ? "+" : "") + `\n\n${lines.join("\n")}`;
+  return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+// ----------------- Media Sniffing -----------------
+const MAX_SNIFFED_PER_PAGE = 40;
+const MIN_IMAGE_BYTES = 15 * 1024;    // skip icons, spacers and tracking pixels
+const MIN_IMAGE_SIDE_PX = 150;
+const MAX_HLS_SEGMENTS = 2000;
+const MEDIA_TIMEOUT_MS = 3 * 60 * 1000;
+const MEDIA_TYPE_ORDER = ["hls", "dash", "video", "audio", "image"];
+
+const MEDIA_EXTENSIONS = {
+  "video/mp4": ".mp4", "video/webm": ".webm", "video/quicktime": ".mov", "video/x-matroska": ".mkv",
+  "video/ogg": ".ogv", "video/mp2t": ".ts", "video/3gpp": ".3gp",
+  "audio/mpeg": ".mp3", "audio/mp4": ".m4a", "audio/aac": ".aac", "audio/ogg": ".ogg", "audio/opus": ".opus",
+  "audio/webm": ".weba", "audio/wav": ".wav", "audio/x-wav": ".wav", "audio/flac": ".flac",
+  "image/jpeg": ".jpg", "image/png": ".png", "image/gif": ".gif", "image/webp": ".webp", "image/avif": ".avif",
+  "image/svg+xml": ".svg"
+};
+
+// page -> Map(url -> item) of media seen on the wire since the last navigation
+const sniffedMedia = new WeakMap();
+
+function mediaKindOf(contentType, url) {
+  const mime = (contentType || "").split(";")[0].trim().toLowerCase();
+  let pathname = "";
+  try { pathname = new URL(url).pathname.toLowerCase(); } catch {}
+
+  if (/mpegurl/.test(mime) || pathname.endsWith(".m3u8")) return "hls";
+  if (mime === "application/dash+xml" || pathname.endsWith(".mpd")) return "dash";
+  // HLS/DASH segments are only useful through their manifest
+  if (mime === "video/mp2t" || /\.(ts|m4s|m4f)$/.test(pathname)) return null;
+  if (mime.startsWith("video/")) return "video";
+  if (mime.startsWith("audio/")) return "audio";
+  if (mime.startsWith("image/")) return "image";
+  return null;
+}
+
+function watchMedia(context) {
+  context.on("page", (page) => {
+    sniffedMedia.set(page, new Map());
+    page.on("framenavigated", (frame) => {
+      if (frame === page.mainFrame()) sniffedMedia.set(page, new Map());
+    });
+  });
+
+  context.on("response", (response) => {
+    const url = response.url();
+    if (!url.startsWith("http") || response.status() >= 400) return;
+
+    const headers = response.headers();
+    const type = mediaKindOf(headers["content-type"], url);
+    if (!type) return;
+    const bytes = Number(headers["content-length"]) || 0;
+    if (type === "image" && bytes < MIN_IMAGE_BYTES) return;
+
+    let page;
+    try { page = response.frame().page(); } catch { return; }
+    const seen = sniffedMedia.get(page);
+    if (!seen || seen.has(url) || seen.size >= MAX_SNIFFED_PER_PAGE) return;
+
+    // Range requests report the chunk size; the total is after the slash
+    const total = Number(/\/(\d+)$/.exec(headers["content-range"] || "")?.[1]) || bytes;
+    const mime = (headers["content-type"] || "").split(";")[0].trim();
+    seen.set(url, { url, type, label: `${type.toUpperCase()} ${mime}`.trim(), bytes: total });
+  });
+}
+
+/**
+ * Media on the active tab: <video>/<audio>/<source> and <img>/srcset in every
+ * frame, plus whatever the page pulled over the network (HLS/DASH manifests,
+ * blob-URL players). Streams first, images last; at most MAX_MEDIA_ITEMS.
+ */
+async function collectMedia(page) {
+  const items = [];
+  const seen = new Set();
+  const pushItem = (item) => {
+    if (!item.url || !item.url.startsWith("http") || seen.has(item.url)) return;
+    seen.add(item.url);
+    items.push(item);
+  };
+
+  for (const frame of page.frames()) {
+    if (frame.isDetached()) continue;
+    const found = await frame.evaluate(({ minSide }) => {
+      const cleanText = (text) => (text || "").trim().replace(/\s+/g, " ").slice(0, 60);
+      const out = [];
+
+      for (const el of document.querySelectorAll("video, audio")) {
+        const type = el.tagName === "VIDEO" ? "video" : "audio";
+        const label = cleanText(el.getAttribute("title") || el.getAttribute("aria-label")) || (type === "video" ? "Video" : "Audio");
+        out.push({ url: el.currentSrc || el.src, type, label });
+        for (const source of el.querySelectorAll("source")) {
+          out.push({ url: source.src, type, label: cleanText(source.getAttribute("title") || source.getAttribute("label")) || `${label} source` });
+        }
+      }
+
+      // Galleries: the biggest srcset candidate of every decent-sized image
+      for (const img of document.querySelectorAll("img")) {
+        if (Math.max(img.naturalWidth, img.width) < minSide) continue;
+        let best = img.currentSrc || img.src;
+        let bestW = 0;
+        for (const part of (img.srcset || "").split(",")) {
+          const [src, size] = part.trim().split(/\s+/);
+          const w = parseFloat(size) || 0;
+          if (src && w > bestW) {
+            bestW = w;
+            best = new URL(src, document.baseURI).href;
+          }
+        }
+        out.push({ url: best, type: "image", label: cleanText(img.alt || img.title) || "Image" });
+      }
+      return out;
+    }, { minSide: MIN_IMAGE_SIDE_PX }).catch(() => []);
+
+    found.forEach(pushItem);
+  }
+
+  for (const item of sniffedMedia.get(page)?.values() || []) pushItem({ ...item });
+
+  return items
+    .sort((a, b) => MEDIA_TYPE_ORDER.indexOf(a.type) - MEDIA_TYPE_ORDER.indexOf(b.type))
+    .slice(0, MAX_MEDIA_ITEMS);
+}
+
+function mediaExtension(contentType, url, type) {
+  const mime = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (MEDIA_EXTENSIONS[mime]) return MEDIA_EXTENSIONS[mime];
+  try {
+    const ext = path.extname(new URL(url).pathname).toLowerCase();
+    if (/^\.[a-z0-9]{2,5}$/.test(ext)) return ext;
+  } catch {}
+  return { audio: ".mp3", image: ".jpg" }[type] || ".mp4";
+}
+
+// Copy a fetch body to disk, giving up as soon as it passes MAX_MEDIA_BYTES.
+// Returns the new total written (`written` = bytes already in the file).
+async function streamToFile(response, handle, written = 0) {
+  const reader = response.body.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return written;
+      written += value.byteLength;
+      if (written > MAX_MEDIA_BYTES) throw new Error("Media too large to send. Try opening it directly.");
+      await handle.write(value);
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+async function fetchText(url, proxy, signal) {
+  const response = await guardedFetch(url, { proxy, signal });
+  if (!response.ok) throw new Error(`Failed to download media: ${response.status}`);
+  return { text: await response.text(), url: response.url || url };
+}
+
+function hlsAttr(line, name) {
+  const m = new RegExp(`[:,]${name}=(?:"([^"]*)"|([^,]*))`).exec(line);
+  return m ? (m[1] ?? m[2]) : undefined;
+}
+
+// HLS: pick the best variant, then join its segments into one file. MPEG-TS
+// and fMP4 segments are both plain concatenations of their stream; ffmpeg
+// turns the TS result into an MP4 Telegram can play.
+async function downloadHls(url, filePath, proxy, signal) {
+  let { text, url: base } = await fetchText(url, proxy, signal);
+
+  if (text.includes("#EXT-X-STREAM-INF")) {
+    const lines = text.split(/\r?\n/);
+    let best = null;
+    lines.forEach((line, i) => {
+      if (!line.startsWith("#EXT-X-STREAM-INF")) return;
+      const bandwidth = Number(hlsAttr(line, "BANDWIDTH")) || 0;
+      const uri = lines.slice(i + 1).find(l => l.trim() && !l.startsWith("#"));
+      if (uri && (!best || bandwidth > best.bandwidth)) best = { bandwidth, uri: uri.trim() };
+    });
+    if (!best) throw new Error("Empty HLS playlist.");
+    ({ text, url: base } = await fetchText(new URL(best.uri, base).href, proxy, signal));
+  }
+
+  const key = text.split(/\r?\n/).find(l => l.startsWith("#EXT-X-KEY"));
+  if (key && hlsAttr(key, "METHOD") !== "NONE") throw new Error("This stream is encrypted and can't be downloaded.");
+
+  const map = text.split(/\r?\n/).find(l => l.startsWith("#EXT-X-MAP"));
+  const segments = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  if (!segments.length) throw new Error("Empty HLS playlist.");
+  if (segments.length > MAX_HLS_SEGMENTS) throw new Error("Stream too long to download.");
+
+  const parts = (map ? [hlsAttr(map, "URI")] : []).concat(segments).map(u => new URL(u, base).href);
+  const handle = await fs.open(filePath, "w");
+  try {
+    let written = 0;
+    for (const part of parts) {
+      const response = await guardedFetch(part, { proxy, signal });
+      if (!response.ok) throw new Error(`Failed to download stream segment: ${response.status}`);
+      written = await streamToFile(response, handle, written);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  if (map) return filePath;
+  const mp4 = filePath.replace(/\.ts$/, ".mp4");
+  const error = await new Promise((resolve) => {
+    execFile("ffmpeg", ["-y", "-loglevel", "error", "-i", filePath, "-c", "copy", "-bsf:a", "aac_adtstoasc", mp4],
+      { timeout: 120000, signal }, resolve);
+  });
+  if (error?.code === "ENOENT") {
+    throw new Error("This stream needs ffmpeg to be converted, and ffmpeg isn't installed on the bot's server.");
+  }
+  if (error) {
+    await fs.unlink(mp4).catch(() => {});
+    signal.throwIfAborted();
+    return filePath;
+  }
+  await fs.unlink(filePath).catch(() => {});
+  return mp4;
+}
+
+// Gives up after MEDIA_TIMEOUT_MS, or when the action is stopped; partial
+// files are removed either way.
+async function downloadMedia(url, type, proxy) {
+  const stamp = `tg-browser-${Date.now()}`;
+  const signal = actionSignal(MEDIA_TIMEOUT_MS, "Media download took too long. Try opening it directly.");
+
+  if (type === "hls") {
+    const filePath = path.join(os.tmpdir(), `${stamp}.ts`);
+    try {
+      return await downloadHls(url, filePath, proxy, signal);
+    } catch (e) {
+      await fs.unlink(filePath).catch(() => {});
+      throw e;
+    }
+  }
+  if (type === "dash") {
+    throw new Error("DASH streams can't be saved as one file. Try another source from /media.");
+  }
+
+  const response = await guardedFetch(url, { proxy, signal });
+  if (!response.ok) throw new Error(`Failed to download media: ${response.status}`);
+
+  const contentLength = response.headers.get("content-length");
+  if (contentLength && Number(contentLength) > MAX_MEDIA_BYTES) {
+    throw new Error("Media too large to send. Try opening it directly.");
+  }
+
+  const filePath = path.join(os.tmpdir(), stamp + mediaExtension(response.headers.get("content-type"), url, type));
+  const handle = await fs.open(filePath, "w");
+  try {
+    await streamToFile(response, handle);
+  } catch (e) {
+    await handle.close();
+    await fs.unlink(filePath).catch(() => {});
+    throw e;
+  }
+  await handle.close();
+  return filePath;
+}
+
+// ----------------- Hint Mode (numbered badges) -----------------
+const MAX_HINTS = 60;
+const MAX_HINT_BUTTONS = 30;
+const HINT_SELECTOR = [
+  "a[href]", "button", "input:not([type=hidden])", "select", "textarea", "summary", "label[for]",
+  "[role=button]", "[role=link]", "[role=checkbox]", "[role=radio]", "[role=tab]", "[role=menuitem]",
+  "[role=option]", "[role=switch]", "[onclick]", "[contenteditable='']", "[contenteditable=true]",
+  "[tabindex]:not([tabindex='-1'])"
+].join(",");
+
+/**
+ * Number every visible interactive element of the active tab (all frames,
+ * open shadow roots included), tag it with data-tgb-hint and draw a badge
+ * over it. Returns [{ n, frame, tag, label }]; the badges stay until
+ * clearHintBadges(), the data attributes until the next drawHints().
+ */
+async function drawHints(page) {
+  const viewport = page.viewportSize();
+  const hints = [];
+
+  for (const frame of page.frames()) {
+    if (hints.length >= MAX_HINTS) break;
+    if (frame.isDetached()) continue;
+
+    // Skip iframes scrolled out of the main viewport
+    if (frame !== page.mainFrame()) {
+      const box = await frame.frameElement().then(h => h.boundingBox()).catch(() => null);
+      if (!box || box.width < 4 || box.height < 4) continue;
+      if (viewport && (box.x + box.width < 0 || box.y + box.height < 0 || box.x > viewport.width || box.y > viewport.height)) continue;
+    }
+
+    const found = await frame.evaluate(({ selector, start, max }) => {
+      const roots = [document];
+      for (let i = 0; i < roots.length; i++) {
+        for (const el of roots[i].querySelectorAll("*")) if (el.shadowRoot) roots.push(el.shadowRoot);
+      }
+      for (const root of roots) {
+        root.querySelectorAll("[data-tgb-hint]").forEach(el => el.removeAttribute("data-tgb-hint"));
+      }
+      document.getElementById("__tgb_hints")?.remove();
+
+      const isShown = (el) => {
+        const r = el.getBoundingClientRect();
+        if (r.width < 4 || r.height < 4) return false;
+        if (r.bottom < 0 || r.right < 0 || r.top > window.innerHeight || r.left > window.innerWidth) return false;
+        const style = window.getComputedStyle(el);
+        if (style.visibility === "hidden" || style.display === "none" || Number(style.opacity) === 0) return false;
+        if (el.disabled) return false;
+
+        // Something else painted on top (modal backdrop etc.)?
+        const cx = Math.min(Math.max(r.left + r.width / 2, 0), window.innerWidth - 1);
+        const cy = Math.min(Math.max(r.top + r.height / 2, 0), window.innerHeight - 1);
+        const hit = el.getRootNode().elementFromPoint?.(cx, cy);
+        return !hit || el === hit || el.contains(hit) || hit.contains(el);
+      };
+
+      const layer = document.createElement("div");
+      layer.id = "__tgb_hints";
+      layer.style.cssText = "position:fixed;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;";
+      document.documentElement.appendChild(layer);
+
+      // CSS zoom on <html> scales the layer too; measure by how much
+      const probe = document.createElement("div");
+      probe.style.cssText = "position:absolute;left:100px;top:0;width:1px;height:1px;";
+      layer.appendChild(probe);
+      const scale = probe.getBoundingClientRect().left / 100 || 1;
+      probe.remove();
+
+      const out = [];
+      let n = start;
+      for (const root of roots) {
+        for (const el of root.querySelectorAll(selector)) {
+          if (out.length >= max) break;
+          if (el.parentElement?.closest("[data-tgb-hint]")) continue; // <a><span role=button> etc.
+          if (!isShown(el)) continue;
+
+          el.setAttribute("data-tgb-hint", String(n));
+          const r = el.getBoundingClientRect();
+          const badge = document.createElement("span");
+          badge.textContent = String(n);
+          badge.style.cssText =
+            "position:absolute;padding:0 3px;font:bold 12px/16px monospace;color:#000;" +
+            "background:#ffd633;border:1px solid #8a6d00;border-radius:3px;box-shadow:0 1px 2px rgba(0,0,0,.4);";
+          badge.style.left = `${Math.max(0, r.left) / scale}px`;
+          badge.style.top = `${Math.max(0, r.top) / scale}px`;
+          layer.appendChild(badge);
+
+          const text = (el.innerText || el.value || el.getAttribute("aria-label") || el.getAttribute("title") ||
+            el.getAttribute("placeholder") || el.getAttribute("name") || "").trim().replace(/\s+/g, " ");
+          out.push({ n, tag: el.tagName.toLowerCase(), label: text.slice(0, 40) });
+          n++;
+        }
+      }
+      return out;
+    }, { selector: HINT_SELECTOR, start: hints.length + 1, max: MAX_HINTS - hints.length }).catch(() => []);
+
+    for (const h of found) hints.push({ ...h, frame });
+  }
+  return hints;
+}
+
+async function clearHintBadges(page) {
+  await Promise.all(page.frames().map(f =>
+    f.evaluate(() => document.getElementById("__tgb_hints")?.remove()).catch(() => {})
+  ));
+}
+
+// Act on the real element behind a badge, through Playwright's locator
+async function actOnHint(sess, n, mode = "click") {
+  const hint = sess.hints.find(h => h.n === n);
+  if (!hint) throw new Error(`No hint #${n}. Send /hints to show them.`);
+
+  const el = hint.frame.locator(`[data-tgb-hint="${n}"]`).first();
+  if (hint.frame.isDetached() || !(await el.count())) {
+    throw new Error(`Hint #${n} is gone (page changed). Send /hints to refresh.`);
+  }
+
+  const page = getActivePage(sess);
+  await safeRun(async () => {
+    if (mode === "focus") await el.focus({ timeout: 5000 });
+    else if (mode === "hover") await el.hover({ timeout: 5000 });
+    else await el.click({ timeout: 5000 });
+    await page.waitForLoadState("domcontentloaded", { timeout: 4000 }).catch(() => {});
+    await page.waitForTimeout(350);
+    await applyZoomToPage(page, sess.zoom);
+  });
+}
+
+// ----------------- Form Inspector -----------------
+const MAX_FORM_FIELDS = 60;
+
+// In-page test for fields whose values never leave the page (passwords, card
+// numbers, OTPs). The only copy: el.evaluate() it, inspectForms gets a handle.
+const isSecretField = (el) => el.type === "password" || /cc-number|cc-csc|one-time-code/.test(el.autocomplete || "");
+
+/**
+ * List the visible fields of the active tab (all frames), numbered, and tag
+ * them (and their forms) with data-tgb-field / data-tgb-form so later
+ * commands reach the real element through a locator.
+ * Secret values (passwords, card numbers, OTPs) never leave the page.
+ */
+async function inspectForms(page) {
+  const forms = [];
+  const fields = [];
+
+  for (const frame of page.frames()) {
+    if (fields.length >= MAX_FORM_FIELDS) break;
+    if (frame.isDetached()) continue;
+
+    const isSecret = await frame.evaluateHandle(`(${isSecretField})`).catch(() => null);
+    if (!isSecret) continue;
+    const found = await frame.evaluate(({ formStart, fieldStart, max, isSecret }) => {
+      document.querySelectorAll("[data-tgb-field]").forEach(el => el.removeAttribute("data-tgb-field"));
+      document.querySelectorAll("[data-tgb-form]").forEach(el => el.removeAttribute("data-tgb-form"));
+
+      const clean = (t) => (t || "").trim().replace(/\s+/g, " ").slice(0, 50);
+      const labelOf = (el) => {
+        if (el.labels?.length) return clean(el.labels[0].innerText);
+        const by = el.getAttribute("aria-labelledby");
+        const byText = by ? clean(by.split(/\s+/).map(id => document.getElementById(id)?.innerText || "").join(" ")) : "";
+        return byText || clean(el.getAttribute("aria-label") || el.getAttribute("placeholder") ||
+          el.getAttribute("title") || el.name || el.id);
+      };
+
+      const formNums = new Map();
+      const out = { forms: [], fields: [] };
+      let formN = formStart;
+      let fieldN = fieldStart;
+
+      for (const el of document.querySelectorAll("input:not([type=hidden]), select, textarea")) {
+        if (out.fields.length >= max) break;
+        if (["submit", "button", "image", "reset"].includes(el.type)) continue;
+        const style = window.getComputedStyle(el);
+        if (style.display === "none" || style.visibility === "hidden") continue;
+        if (!el.getClientRects().length) continue;
+
+        let form = null;
+        if (el.form) {
+          if (!formNums.has(el.form)) {
+            el.form.setAttribute("data-tgb-form", String(formN));
+            formNums.set(el.form, formN);
+            out.forms.push({
+              n: formN,
+              name: clean(el.form.getAttribute("name") || el.form.id || el.form.getAttribute("aria-label") || el.form.getAttribute("action"))
+            });
+            formN++;
+          }
+          form = formNums.get(el.form);
+        }
+
+        const type = el.tagName === "INPUT" ? (el.type || "text") : el.tagName.toLowerCase();
+        let value;
+        if (type === "checkbox" || type === "radio") value = el.checked ? "☑" : "☐";
+        else if (type === "select") value = clean(Array.from(el.selectedOptions).map(o => o.text).join(", "));
+        else if (type === "file") value = el.files?.length ? `${el.files.length} file(s)` : "";
+        else if (isSecret(el)) value = el.value ? "••••" : "";
+        else value = clean(el.value);
+
+        el.setAttribute("data-tgb-field", String(fieldN));
+        out.fields.push({
+          n: fieldN,
+          form,
+          type,
+          label: labelOf(el),
+          value,
+          secret: isSecret(el),
+          required: el.required,
+          disabled: el.disabled,
+          options: type === "select" ? Array.from(el.options).slice(0, 8).map(o => clean(o.text)) : undefined
+        });
+        fieldN++;
+      }
+      return out;
+    }, { formStart: forms.length + 1, fieldStart: fields.length + 1, max: MAX_FORM_FIELDS - fields.length, isSecret }).catch(() => null);
+    isSecret.dispose().catch(() => {});
+
+    if (!found) continue;
+    for (const f of found.forms) forms.push({ ...f, frame });
+    for (const f of found.fields) fields.push({ ...f, frame });
+  }
+  return { forms, fields };
+}
+
+function formatField(f) {
+  const flags = (f.required ? " *" : "") + (f.disabled ? " (disabled)" : "");
+  const value = f.value ? ` = ${f.value}` : "";
+  const options = f.options?.length ? `\n      options: ${f.options.join(" | ")}` : "";
+  return `  ${f.n}) ${f.type} "${f.label || "?"}"${value}${flags}${options}`;
+}
+
+function formatForms({ forms, fields }) {
+  if (!fields.length) return "No form fields on this page.";
+
+  const blocks = forms.map(form =>
+    `📝 Form ${form.n}${form.name ? `: ${form.name}` : ""}\n` +
+    fields.filter(f => f.form === form.n && f.frame === form.frame).map(formatField).join("\n")
+  );
+  const loose = fields.filter(f => f.form === null);
+  if (loose.length) blocks.push(`📝 Other fields\n${loose.map(formatField).join("\n")}`);
+
+  const text = blocks.join("\n\n") +
+    "\n\n/fill <n> <value>  /check <n> [off]  /select <n> <option>  /submit <form#>";
+  return text.length > 4000 ? `${text.slice(0, 3990)}\n…` : text;
+}
+
+async function locateField(sess, n) {
+  const field = sess.fields.find(f => f.n === n);
+  if (!field) throw new Error(`No field #${n}. Send /forms to list them.`);
+
+  const el = field.frame.locator(`[data-tgb-field="${n}"]`).first();
+  if (field.frame.isDetached() || !(await el.count())) {
+    throw new Error(`Field #${n} is gone (page changed). Send /forms to refresh.`);
+  }
+  return { field, el };
+}
+
+async function settleAfterInput(sess) {
+  const page = getActivePage(sess);
+  await page.waitForLoadState("domcontentloaded", { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+  await page.waitForTimeout(350);
+  await applyZoomToPage(page, sess.zoom);
+}
+
+// ----------------- File Uploads -----------------
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024; // Bot API getFile limit
+const UPLOAD_TTL_MS = 10 * 60 * 1000;
+const UPLOAD_FETCH_TIMEOUT_MS = 60 * 1000;
+const MAX_FILE_INPUTS = 10;
+
+// Every <input type=file> in the active tab, hidden ones included: styled
+// upload buttons usually keep the real input display:none.
+async function findFileInputs(page) {
+  const inputs = [];
+  for (const frame of page.frames()) {
+    if (inputs.length >= MAX_FILE_INPUTS) break;
+    if (frame.isDetached()) continue;
+
+    const found = await frame.evaluate(({ start, max }) => {
+      document.querySelectorAll("[data-tgb-file]").forEach(el => el.removeAttribute("data-tgb-file"));
+      const clean = (t) => (t || "").trim().replace(/\s+/g, " ").slice(0, 40);
+      const out = [];
+      for (const el of document.querySelectorAll("input[type=file]")) {
+        if (out.length >= max) break;
+        if (el.disabled) continue;
+        const n = start + out.length;
+        el.setAttribute("data-tgb-file", String(n));
+        const label = el.labels?.length ? clean(el.labels[0].innerText) : "";
+        out.push({
+          n,
+          label: label || clean(el.getAttribute("aria-label") || el.getAttribute("title") || el.name || el.id) ||
+            clean(el.form?.getAttribute("name") || el.form?.id),
+          accept: clean(el.accept),
+          multiple: el.multiple
+        });
+      }
+      return out;
+    }, { start: inputs.length + 1, max: MAX_FILE_INPUTS - inputs.length }).catch(() => null);
+
+    if (found) for (const f of found) inputs.push({ ...f, frame });
+  }
+  return inputs;
+}
+
+async function receiveUpload(chatId, sess, file) {
+  if (file.file_size > MAX_UPLOAD_BYTES) {
+    throw new Error(`File too large: bots can only fetch files up to ${formatBytes(MAX_UPLOAD_BYTES)}.`);
+  }
+
+  const link = await bot.telegram.getFileLink(file.file_id);
+  const signal = actionSignal(UPLOAD_FETCH_TIMEOUT_MS, "Fetching the file from Telegram took too long.");
+  const response = await fetch(link, { signal });
+  if (!response.ok) throw new Error(`Could not fetch the file from Telegram: ${response.status}`);
+
+  const name = uploadFileName(file.name);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "tg-browser-upload-"));
+  const filePath = path.join(dir, name);
+  try {
+    const handle = await fs.open(filePath, "w");
+    await pipeline(Readable.fromWeb(response.body), handle.createWriteStream());
+  } catch (e) {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    throw e;
+  }
+
+  await discardUpload(sess);
+  sess.upload = {
+    path: filePath,
+    dir,
+    name,
+    mime: file.mime,
+    timer: setTimeout(() => discardUpload(sess).catch(() => {}), UPLOAD_TTL_MS)
+  };
+  return sess.upload;
+}
+
+// The name the page sees; never a path, never empty
+function uploadFileName(name) {
+  const base = path.basename(String(name || "")).replace(/[\x00-\x1f]/g, "").trim();
+  return base && base !== "." && base !== ".." ? base : "file";
+}
+
+async function discardUpload(sess) {
+  const upload = sess.upload;
+  if (!upload) return;
+  sess.upload = null;
+  clearTimeout(upload.timer);
+  await fs.rm(upload.dir, { recursive: true, force: true }).catch(() => {});
+}
+
+// target: a file input locator or a FileChooser. The file goes over as a
+// buffer so the temp copy can go right away (a path is only read on submit).
+async function attachUpload(sess, target) {
+  const upload = sess.upload;
+  if (!upload) throw new Error("No file waiting. Send a document or photo first.");
+
+  const payload = { name: upload.name, mimeType: upload.mime, buffer: await fs.readFile(upload.path) };
+  if (typeof target.setFiles === "function") await target.setFiles(payload, { timeout: NAV_TIMEOUT_MS });
+  else await target.setInputFiles(payload, { timeout: NAV_TIMEOUT_MS });
+
+  await discardUpload(sess);
+  return upload.name;
+}
+
+function watchFileChoosers(context, chatId) {
+  context.on("page", (page) => {
+    page.on("filechooser", (chooser) => onFileChooser(chatId, chooser).catch(() => {}));
+  });
+}
+
+// The page opened a file picker (an upload button wired to a hidden input)
+async function onFileChooser(chatId, chooser) {
+  const sess = sessions.get(chatId);
+  if (!sess) return;
+
+  if (sess.upload) {
+    const name = await attachUpload(sess, chooser);
+    const notice = `📎 attached ${name}`;
+    if (isChatBusy(chatId)) sess.notices.push(notice);
+    else await bot.telegram.sendMessage(chatId, `${notice}. Tap 🔄 to see the page.`).catch(() => {});
+    return;
+  }
+
+  sess.chooser = chooser;
+  await bot.telegram.sendMessage(
+    chatId,
+    `📎 The page asks for ${chooser.isMultiple() ? "files" : "a file"}. Send a document or photo to attach it.`
+  ).catch(() => {});
+}
+
+// ----------------- Reader Mode -----------------
+const TG_TEXT_LIMIT = 4096;
+const READER_PAGE_CHARS = 3800;
+const MAX_READER_BLOCKS = 600;
+const MAX_TEXT_MESSAGES = 5;
+
+// Split at a newline, else a space, before `max`; hard cut only as a last resort.
+function splitText(text, max = TG_TEXT_LIMIT) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > max) {
+    let cut = rest.lastIndexOf("\n", max);
+    if (cut < max / 2) cut = rest.lastIndexOf(" ", max);
+    if (cut < max / 2) cut = max;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^[\n ]+/, "");
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+/**
+ * Readability-style extraction: score the containers of text-heavy
+ * paragraphs, penalise link-heavy and nav/ad-looking ones, take the best
+ * and walk it in order. Blocks come back as Telegram-HTML strings.
+ */
+async function extractArticle(page) {
+  return await page.evaluate(({ maxBlocks }) => {
+    const esc = (t) => t.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const escAttr = (t) => esc(t).replace(/"/g, "&quot;");
+    const squash = (t) => (t || "").replace(/\s+/g, " ");
+    const sig = (el) => `${typeof el.className === "string" ? el.className : ""} ${el.id || ""}`;
+
+    const NEGATIVE = /comment|footer|sidebar|widget|\bnav|menu|masthead|promo|share|social|related|sponsor|advert|\bads?\b|cookie|banner|popup|modal|newsletter|subscribe/i;
+    const POSITIVE = /article|body|content|entry|main|post|story|text|blog/i;
+    const SKIP_TAGS = /^(script|style|noscript|nav|aside|footer|form|button|iframe|svg|img|video|audio|canvas|select)$/i;
+    const INLINE_TAGS = /^(a|b|strong|i|em|span|code|br|small|sup|sub|mark|u|s|abbr|time|label|cite|q)$/i;
+
+    const linkDensity = (el) => {
+      const total = (el.innerText || "").length || 1;
+      let linked = 0;
+      el.querySelectorAll("a").forEach(a => { linked += (a.innerText || "").length; });
+      return linked / total;
+    };
+
+    // 1) score paragraph containers
+    const scores = new Map();
+    for (const p of document.querySelectorAll("p, pre, td, blockquote")) {
+      const text = (p.innerText || "").trim();
+      if (text.length < 25) continue;
+      const points = 1 + text.split(",").length + Math.min(3, Math.floor(text.length / 100));
+
+      let el = p.parentElement;
+      for (let depth = 0; el && depth < 3; depth++, el = el.parentElement) {
+        if (!scores.has(el)) {
+          let base = /^(article|main)$/i.test(el.tagName) ? 20 : 0;
+          if (POSITIVE.test(sig(el))) base += 25;
+          if (NEGATIVE.test(sig(el))) base -= 25;
+          scores.set(el, base);
+        }
+        scores.set(el, scores.get(el) + points / (depth === 0 ? 1 : depth * 2));
+      }
+    }
+
+    let root = null;
+    let best = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - linkDensity(el));
+      if (adjusted > best) { root = el; best = adjusted; }
+    }
+    root = root || document.querySelector("article, main, [role=main]") || document.body;
+
+    // 2) walk it
+    const inline = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) return esc(squash(node.textContent));
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+      const el = node;
+      if (el.tagName === "BR") return "\n";
+      if (SKIP_TAGS.test(el.tagName)) return "";
+      // Telegram doesn't allow anything inside <code>
+      if (el.tagName === "CODE") return `<code>${esc(el.textContent)}</code>`;
+
+      const inner = Array.from(el.childNodes).map(inline).join("");
+      if (!inner.trim()) return inner;
+      if (el.tagName === "A" && /^https?:/.test(el.href)) return `<a href="${escAttr(el.href)}">${inner}</a>`;
+      if (el.tagName === "B" || el.tagName === "STRONG") return `<b>${inner}</b>`;
+      if (el.tagName === "I" || el.tagName === "EM") return `<i>${inner}</i>`;
+      return inner;
+    };
+    const plain = (el) => esc(squash(el.innerText).trim());
+
+    const blocks = [];
+    const walk = (el) => {
+      for (const child of el.children) {
+        if (blocks.length >= maxBlocks) return;
+        const tag = child.tagName.toUpperCase();
+        if (SKIP_TAGS.test(tag)) continue;
+        if (NEGATIVE.test(sig(child)) && linkDensity(child) > 0.3) continue;
+        const style = window.getComputedStyle(child);
+        if (style.display === "none" || style.visibility === "hidden") continue;
+
+        let block = "";
+        if (/^H[1-6]$/.test(tag)) block = plain(child) && `<b>${plain(child)}</b>`;
+        else if (tag === "PRE") block = child.innerText.trim() && `<pre>${esc(child.innerText.trim())}</pre>`;
+        else if (tag === "BLOCKQUOTE") block = inline(child).trim() && `<blockquote>${inline(child).trim()}</blockquote>`;
+        else if (tag === "FIGCAPTION") block = plain(child) && `<i>${plain(child)}</i>`;
+        else if (tag === "LI") block = inline(child).trim() && `• ${inline(child).trim()}`;
+        else if (tag === "P" || Array.from(child.children).every(c => INLINE_TAGS.test(c.tagName))) block = inline(child).trim();
+        else {
+          walk(child);
+          continue;
+        }
+        if (block) blocks.push(block.replace(/\n{3,}/g, "\n\n"));
+      }
+    };
+    walk(root);
+
+    const meta = (sel) => document.querySelector(sel)?.getAttribute("content")?.trim();
+    const title = meta('meta[property="og:title"]') || squash(document.querySelector("h1")?.innerText).trim() || document.title;
+    const byline = meta('meta[name="author"]') ||
+      squash(document.querySelector('[rel="author"], [itemprop="author"], .byline, .author')?.innerText).trim();
+
+    return { title: esc(title || ""), byline: esc((byline || "").slice(0, 100)), blocks };
+  }, { maxBlocks: MAX_READER_BLOCKS });
+}
+
+// Group blocks into message-sized pages without cutting through a tag
+function paginateArticle({ title, byline, blocks }) {
+  const pages = [];
+  let cur = (title ? `<b>${title}</b>\n` : "") + (byline ? `<i>${byline}</i>\n` : "") + "\n";
+
+  for (const block of blocks) {
+    // An oversize block loses its markup so it can be cut anywhere
+    const pieces = block.length > READER_PAGE_CHARS
+      ? splitText(block.replace(/<[^>]+>/g, ""), READER_PAGE_CHARS)
+      : [block];
+    for (const piece of pieces) {
+      if (cur.length + piece.length + 2 > READER_PAGE_CHARS && cur.trim()) {
+        pages.push(cur.trim());
+        cur = "";
+      }
+      cur += `${piece}\n\n`;
+    }
+  }
+  if (cur.trim()) pages.push(cur.trim());
+  return pages;
+}
+
+function readerKeyboard(n, total) {
+  if (total <= 1) return {};
+  return Markup.inlineKeyboard([[
+    Markup.button.callback("◀ Prev", `read:${Math.max(0, n - 1)}`),
+    Markup.button.callback(`${n + 1}/${total}`, "noop"),
+    Markup.button.callback("Next ▶", `read:${Math.min(total - 1, n + 1)}`)
+  ]]);
+}
+
+// Raw text of what's on screen right now, in reading order
+async function visibleText(page) {
+  return await page.evaluate(() => {
+    const out = [];
+    let lastBlock = null;
+    const range = document.createRange();
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = node.textContent.replace(/\s+/g, " ");
+      const parent = node.parentElement;
+      if (!text.trim() || !parent || /^(SCRIPT|STYLE|NOSCRIPT)$/.test(parent.tagName)) continue;
+
+      range.selectNodeContents(node);
+      const r = range.getBoundingClientRect();
+      if (!r.width || !r.height || r.bottom < 0 || r.right < 0 || r.top > window.innerHeight || r.left > window.innerWidth) continue;
+      const style = window.getComputedStyle(parent);
+      if (style.visibility === "hidden" || Number(style.opacity) === 0) continue;
+
+      const block = parent.closest("p, li, h1, h2, h3, h4, h5, h6, td, th, pre, blockquote, div, section, article, header, footer, nav, form, label, button");
+      if (out.length && block !== lastBlock) out.push("\n");
+      out.push(text);
+      lastBlock = block;
+    }
+    return out.join("").replace(/ *\n */g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  });
+}
+
+// ----------------- Save Page (PDF / HTML / MHTML) -----------------
+const PDF_FORMATS = ["A3", "A4", "A5", "Letter", "Legal", "Tabloid"];
+const MAX_ARCHIVE_RESOURCES = 200;
+const MAX_ARCHIVE_RESOURCE_BYTES = 5 * 1024 * 1024;
+
+function fileNameFromTitle(title, ext) {
+  const base = (title || "").replace(/[\\/:*?"<>|\x00-\x1f]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 80);
+  return `${base || "page"}.${ext}`;
+}
+
+function assertDocumentSize(bytes) {
+  if (bytes > MAX_MEDIA_BYTES) {
+    throw new Error(`Result is ${Math.round(bytes / 1024 / 1024)} MB, over the ${Math.round(MAX_MEDIA_BYTES / 1024 / 1024)} MB limit.`);
+  }
+}
+
+// guardedFetch with the session's cookies (page resources often need them) and a size cap
+async function fetchWithContext(context, url, proxy, signal) {
+  const timeout = AbortSignal.timeout(NAV_TIMEOUT_MS);
+  const res = await guardedFetch(url, { proxy, context, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+  if (!res.ok) {
+    await res.body?.cancel().catch(() => {});
+    throw new Error(`HTTP ${res.status}`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.byteLength;
+    // Leaving the loop cancels the rest of the body
+    if (size > MAX_ARCHIVE_RESOURCE_BYTES) throw new Error("Resource too large.");
+    chunks.push(chunk);
+  }
+  const contentType = res.headers.get("content-type") || "application/octet-stream";
+  return { body: Buffer.concat(chunks), contentType: contentType.split(";")[0].trim() };
+}
+
+async function savePdf(page, format, landscape) {
+  const pdf = await page.pdf({ format, landscape, printBackground: true });
+  assertDocumentSize(pdf.length);
+  return pdf;
+}
+
+async function saveMhtml(page) {
+  const cdp = await page.context().newCDPSession(page);
+  try {
+    const { data } = await cdp.send("Page.captureSnapshot", { format: "mhtml" });
+    const buf = Buffer.from(data, "utf8");
+    assertDocumentSize(buf.length);
+    return buf;
+  } finally {
+    await cdp.detach().catch(() => {});
+  }
+}
+
+/**
+ * Single-file HTML: stylesheets become <style> blocks, images and CSS url()s
+ * become data: URIs, scripts are dropped so the copy is static and safe to
+ * open. Resources that fail or don't fit in MAX_MEDIA_BYTES keep their
+ * absolute URL. `signal` stops the whole thing, fetches in flight included.
+ */
+async function saveSingleFileHtml(page, proxy, signal) {
+  const context = page.context();
+  const budget = { bytes: 0, count: 0 };
+  const dataUris = new Map(); // absolute url -> data: URI
+
+  const toDataUri = async (url) => {
+    signal.throwIfAborted();
+    if (!/^https?:/.test(url)) return null;
+    if (dataUris.has(url)) return dataUris.get(url);
+    if (budget.count >= MAX_ARCHIVE_RESOURCES) return null;
+    budget.count++;
+
+    const res = await fetchWithContext(context, url, proxy, signal).catch(() => null);
+    if (!res || budget.bytes + res.body.length > MAX_MEDIA_BYTES) return null;
+    budget.bytes += res.body.length;
+    const uri = `data:${res.contentType};base64,${res.body.toString("base64")}`;
+    dataUris.set(url, uri);
+    return uri;
+  };
+
+  const inlineCssUrls = async (css, baseUrl) => {
+    const refs = new Set();
+    for (const m of css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)) {
+      if (!m[2].startsWith("data:")) refs.add(m[2]);
+    }
+    const replacements = new Map();
+    for (const ref of refs) {
+      let abs;
+      try { abs = new URL(ref, baseUrl).toString(); } catch { continue; }
+      replacements.set(ref, (await toDataUri(abs)) || abs);
+    }
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (all, q, ref) =>
+      replacements.has(ref) ? `url("${replacements.get(ref)}")` : all
+    );
+  };
+
+  const found = await page.evaluate(() => ({
+    base: location.href,
+    sheets: Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]')).map(l => l.href),
+    styles: Array.from(document.querySelectorAll("style")).map(s => s.textContent || ""),
+    images: Array.from(document.querySelectorAll("img")).map(i => i.currentSrc || i.src || "")
+  }));
+
+  const sheets = [];
+  for (const href of found.sheets) {
+    signal.throwIfAborted();
+    const res = await fetchWithContext(context, href, proxy, signal).catch(() => null);
+    sheets.push(res ? await inlineCssUrls(res.body.toString("utf8"), href) : null);
+  }
+  const styles = [];
+  for (const css of found.styles) styles.push(await inlineCssUrls(css, found.base));
+  const images = [];
+  for (const src of found.images) images.push(src ? await toDataUri(src) : null);
+
+  const html = await page.evaluate(({ sheets, styles, images }) => {
+    const src = document.documentElement;
+    const doc = src.cloneNode(true);
+
+    // <style> first: the links below turn into more of them
+    doc.querySelectorAll("style").forEach((style, i) => {
+      if (i < styles.length) style.textContent = styles[i];
+    });
+    doc.querySelectorAll('link[rel~="stylesheet"][href]').forEach((link, i) => {
+      if (sheets[i] === null) {
+        link.href = link.href; // absolute
+        return;
+      }
+      const style = document.createElement("style");
+      style.textContent = sheets[i];
+      link.replaceWith(style);
+    });
+
+    const liveImgs = src.querySelectorAll("img");
+    doc.querySelectorAll("img").forEach((img, i) => {
+      img.removeAttribute("srcset");
+      img.removeAttribute("loading");
+      img.src = images[i] || liveImgs[i]?.currentSrc || img.src;
+    });
+    doc.querySelectorAll("picture source").forEach(el => el.remove());
+
+    // Static copy: no scripts, no inline handlers
+    doc.querySelectorAll("script, noscript, iframe").forEach(el => el.remove());
+    doc.querySelectorAll("*").forEach(el => {
+      for (const attr of Array.from(el.attributes)) if (/^on/i.test(attr.name)) el.removeAttribute(attr.name);
+    });
+
+    let head = doc.querySelector("head");
+    if (!head) {
+      head = document.createElement("head");
+      doc.prepend(head);
+    }
+    const base = document.createElement("base");
+    base.href = location.href;
+    const charset = document.createElement("meta");
+    charset.setAttribute("charset", "utf-8");
+    head.querySelectorAll("base, meta[charset]").forEach(el => el.remove());
+    head.prepend(charset, base);
+
+    return `<!DOCTYPE html>\n${doc.outerHTML}`;
+  }, { sheets, styles, images });
+
+  const buf = Buffer.from(html, "utf8");
+  assertDocumentSize(buf.length);
+  return buf;
+}
+
+// ----------------- Find in Page -----------------
+const MAX_FIND_MATCHES = 1000;
+
+/**
+ * Highlight every match with the CSS Custom Highlight API (no DOM changes),
+ * walking open shadow roots and same-origin iframes. Leaves a small
+ * controller on window.__tgbFind for next/prev/clear. Returns the count.
+ */
+async function findInPage(page, query) {
+  return await page.evaluate(({ query, max }) => {
+    window.__tgbFind?.clear();
+
+    const needle = query.toLowerCase();
+    const ranges = [];
+    const windows = new Set();
+    const css =
+      "::highlight(tgb-find){background-color:#ffeb3b;color:#000}" +
+      "::highlight(tgb-find-current){background-color:#ff9800;color:#000}";
+
+    const addStyle = (root) => {
+      if (root.querySelector?.("style[data-tgb-find]")) return;
+      const style = (root.ownerDocument || root).createElement("style");
+      style.setAttribute("data-tgb-find", "");
+      style.textContent = css;
+      (root.head || root.documentElement || root).appendChild(style);
+    };
+
+    const visit = (root, win) => {
+      windows.add(win);
+      addStyle(root);
+      const doc = root.ownerDocument || root;
+      const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+
+      for (let node = walker.nextNode(); node && ranges.length < max; node = walker.nextNode()) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.shadowRoot) visit(node.shadowRoot, win);
+          if (/^I?FRAME$/.test(node.tagName)) {
+            try {
+              if (node.contentDocument?.documentElement) visit(node.contentDocument, node.contentWindow);
+            } catch {} // cross-origin
+          }
+          continue;
+        }
+
+        const parent = node.parentElement;
+        if (!parent || /^(SCRIPT|STYLE|NOSCRIPT|TEXTAREA)$/.test(parent.tagName)) continue;
+        if (parent.checkVisibility && !parent.checkVisibility({ visibilityProperty: true })) continue;
+
+        const text = node.textContent.toLowerCase();
+        for (let i = text.indexOf(needle); i !== -1 && ranges.length < max; i = text.indexOf(needle, i + needle.length)) {
+          const range = doc.createRange();
+          range.setStart(node, i);
+          range.setEnd(node, i + needle.length);
+          ranges.push({ range, win });
+        }
+      }
+    };
+    visit(document, window);
+
+    const paint = (current) => {
+      for (const win of windows) {
+        const all = new win.Highlight();
+        const cur = new win.Highlight();
+        ranges.forEach((m, i) => {
+          if (m.win !== win) return;
+          (i === current ? cur : all).add(m.range);
+        });
+        win.CSS.highlights.set("tgb-find", all);
+        win.CSS.highlights.set("tgb-find-current", cur);
+      }
+    };
+
+    window.__tgbFind = {
+      count: ranges.length,
+      show(i) {
+        if (!ranges.length) return -1;
+        const n = ((i % ranges.length) + ranges.length) % ranges.length;
+        paint(n);
+        ranges[n].range.startContainer.parentElement?.scrollIntoView({ block: "center", inline: "nearest" });
+        return n;
+      },
+      clear() {
+        for (const win of windows) {
+          try {
+            win.CSS.highlights.delete("tgb-find");
+            win.CSS.highlights.delete("tgb-find-current");
+          } catch {}
+        }
+        delete window.__tgbFind;
+      }
+    };
+
+    window.__tgbFind.show(0);
+    return ranges.length;
+  }, { query, max: MAX_FIND_MATCHES });
+}
+
+// Move to match i (wraps around). Returns the new index, or -1 if the page forgot the search.
+async function showFindMatch(page, i) {
+  return await page.evaluate((i) => (window.__tgbFind ? window.__tgbFind.show(i) : -1), i).catch(() => -1);
+}
+
+async function clearFind(page) {
+  await page.evaluate(() => window.__tgbFind?.clear()).catch(() => {});
+}
+
+function findCaption(find) {
+  return `🔎 "${find.query}": ${find.index + 1}/${find.count}${find.count >= MAX_FIND_MATCHES ? "+" : ""}`;
+}
+
+// ----------------- Keys -----------------
+const MAX_KEY_REPEAT = 50;
+const KEYPAD = [
+  [["Esc", "Escape"], ["Tab", "Tab"], ["⇧Tab", "Shift+Tab"], ["⏎", "Enter"]],
+  [["↑", "ArrowUp"], ["↓", "ArrowDown"], ["←", "ArrowLeft"], ["→", "ArrowRight"]],
+  [["PgUp", "PageUp"], ["PgDn", "PageDown"], ["Home", "Home"], ["End", "End"]],
+  [["␣", "Space"], ["⌫", "Backspace"], ["Del", "Delete"], ["Ctrl+A", "Control+A"]]
+];
+
+async function pressKey(sess, combo, count = 1) {
+  const page = getActivePage(sess);
+  await safeRun(async () => {
+    for (let i = 0; i < count; i++) await page.keyboard.press(combo, { delay: 20 });
+    await page.waitForLoadState("domcontentloaded", { timeout: 4000 }).catch(() => {});
+    await page.waitForTimeout(250);
+    await applyZoomToPage(page, sess.zoom);
+  });
+}
+
+function keypadKeyboard() {
+  const rows = KEYPAD.map(row => row.map(([label, key]) => Markup.button.callback(label, `key:${key}`)));
+  rows.push([Markup.button.callback("⬅️ Done", "keypad:close")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function buildKeyboard(sess) {
+  if (sess.keypad) return keypadKeyboard();
+  if (sess.gridMode) return gridKeyboard(sess);
+
+  const tabInfo = `Tab ${sess.active + 1}/${sess.pages.length}`;
+  const modeInfo = sess.mobile ? "📱" : "🖥️";
+  const zoomInfo = `${Math.round(sess.zoom * 100)}%`;
+
+  const row1 = [
+    Markup.button.callback("⬆️", "nav:up"),
+    Markup.button.callback("⬇️", "nav:down"),
+    Markup.button.callback("🔄", "nav:reload"),
+    Markup.button.callback(tabInfo, "noop")
+  ];
+
+  const row2 = [
+    Markup.button.callback("⬅️", "nav:back"),
+    Markup.button.callback("➡️", "nav:fwd"),
+    Markup.button.callback("🏠", "nav:home"),
+    Markup.button.callback("➕Tab", "tab:new")
+  ];
+
+  const row3 = [
+    Markup.button.callback(`🧊 Grid`, "grid:show"),
+    Markup.button.callback(`🔍➖`, "zoom:out"),
+    Markup.button.callback(`🔍➕`, "zoom:in"),
+    Markup.button.callback(`${modeInfo} ${zoomInfo}`, "noop")
+  ];
+
+  const row4 = [
+    Markup.button.callback("⤒ Top", "nav:top"),
+    Markup.button.callback("⤓ Bottom", "nav:bottom"),
+    Markup.button.callback("📸 Full", "shot:full"),
+    Markup.button.callback("🔗 URL", "info:url")
+  ];
+
+  const row5 = [
+    Markup.button.callback("📑 Tabs", "tab:list"),
+    Markup.button.callback("🧹 Close Tab", "tab:close"),
+    Markup.button.callback("⭐", "bm:toggle"),
+    Markup.button.callback("🕘 History", "hist:page:0")
+  ];
+
+  const findRow = sess.find ? [[
+    Markup.button.callback("◀ prev", "find:prev"),
+    Markup.button.callback(`${sess.find.index + 1}/${sess.find.count}`, "noop"),
+    Markup.button.callback("next ▶", "find:next"),
+    Markup.button.callback("✖ clear", "find:clear")
+  ]] : [];
+
+  const row6 = [
+    Markup.button.callback(sess.hintMode ? "🔢 Hints off" : "🔢 Hints", sess.hintMode ? "hint:off" : "hint:on"),
+    Markup.button.callback("⌨️ Keys", "keypad:open")
+  ];
+
+  const linkRows = [];
+  if (sess.hintMode) {
+    // Badge numbers replace the link list while hint mode is on
+    const hintButtons = sess.hints.slice(0, MAX_HINT_BUTTONS).map(h =>
+      Markup.button.callback(String(h.n), `hint:${h.n}`)
+    );
+    for (let i = 0; i < hintButtons.length; i += 6) linkRows.push(hintButtons.slice(i, i + 6));
+  } else {
+    const linkButtons = sess.links.map((l, i) =>
+      Markup.button.callback(`${i + 1}) ${l.text}`, `link:${i}`)
+    );
+    for (let i = 0; i < linkButtons.length; i += 2) linkRows.push(linkButtons.slice(i, i + 2));
+  }
+
+  const rows = [...findRow, row1, row2, row3, row4, row5, row6, ...linkRows];
+  return Markup.inlineKeyboard(rows);
+}
+
+function gridLabel(col, row) {
+  return `${String.fromCharCode(65 + col)}${row + 1}`;
+}
+
+function gridKeyboard(sess) {
+  const { cols, rows } = sess.grid;
+  const keyboard = [];
+
+  if (cols * rows <= GRID_MAX_BUTTONS) {
+    for (let r = 0; r < rows; r++) {
+      const rowButtons = Array.from({ length: cols }, (_, c) =>
+        Markup.button.callback(gridLabel(c, r), `grid:cell:${gridLabel(c, r)}`)
+      );
+      // Telegram shows at most 8 buttons in a row
+      for (let i = 0; i < rowButtons.length; i += 8) keyboard.push(rowButtons.slice(i, i + 8));
+    }
+  }
+
+  const controls = [];
+  if (sess.gridPath.length > 1) {
+    controls.push(Markup.button.callback("🎯 Tap center", "grid:center"));
+    controls.push(Markup.button.callback("⬅️ Back", "grid:back"));
+  }
+  controls.push(Markup.button.callback("❌ Close Grid", "grid:close"));
+  keyboard.push(controls);
+  return Markup.inlineKeyboard(keyboard);
+}
+
+// "B3" -> { col: 1, row: 2 }, or null when it isn't a cell of this grid
+function parseCell(cell, grid) {
+  const m = /^([A-Z])(\d{1,2})$/i.exec(cell || "");
+  if (!m) return null;
+  const col = m[1].toUpperCase().charCodeAt(0) - 65;
+  const row = Number(m[2]) - 1;
+  if (col >= grid.cols || row < 0 || row >= grid.rows) return null;
+  return { col, row };
+}
+
+function cellToRegion(cell, region, grid) {
+  const { col, row } = parseCell(cell, grid);
+  const width = region.width / grid.cols;
+  const height = region.height / grid.rows;
+  return { x: region.x + col * width, y: region.y + row * height, width, height };
+}
+
+function cellToCenterCoords(cell, region, grid) {
+  // cell like "B3", inside region (the whole viewport or a zoomed-in cell)
+  const r = cellToRegion(cell, region, grid);
+  return { x: Math.floor(r.x + r.width / 2), y: Math.floor(r.y + r.height / 2) };
+}
+
+function currentGridRegion(sess) {
+  return sess.gridPath[sess.gridPath.length - 1];
+}
+
+function resetGrid(sess) {
+  sess.gridPath = [{ x: 0, y: 0, width: sess.viewport.width, height: sess.viewport.height }];
+}
+
+// Labelled grid lines over `region` (viewport CSS px), removed by clearGridOverlay()
+async function drawGridOverlay(page, region, grid) {
+  await page.evaluate(({ region, cols, rows }) => {
+    document.getElementById("__tgb_grid")?.remove();
+    const layer = document.createElement("div");
+    layer.id = "__tgb_grid";
+    layer.style.cssText = "position:fixed;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;";
+    document.documentElement.appendChild(layer);
+
+    // CSS zoom on <html> scales the layer too; measure by how much
+    const probe = document.createElement("div");
+    probe.style.cssText = "position:absolute;left:100px;top:0;width:1px;height:1px;";
+    layer.appendChild(probe);
+    const scale = probe.getBoundingClientRect().left / 100 || 1;
+    probe.remove();
+
+    const cw = region.width / cols;
+    const ch = region.height / rows;
+    const thick = Math.max(0.5, Math.min(2, Math.min(cw, ch) / 40));
+    const box = (x, y, w, h, css) => {
+      const el = document.createElement("div");
+      el.style.cssText = `position:absolute;left:${x / scale}px;top:${y / scale}px;width:${w / scale}px;height:${h / scale}px;${css}`;
+      layer.appendChild(el);
+      return el;
+    };
+
+    for (let c = 0; c <= cols; c++) box(region.x + c * cw - thick / 2, region.y, thick, region.height, "background:rgba(230,0,80,.8);");
+    for (let r = 0; r <= rows; r++) box(region.x, region.y + r * ch - thick / 2, region.width, thick, "background:rgba(230,0,80,.8);");
+
+    const font = Math.max(3, Math.min(14, Math.min(cw, ch) / 3.5));
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const label = box(region.x + c * cw + thick, region.y + r * ch + thick, 0, 0,
+          `width:auto;height:auto;padding:0 ${font / 5 / scale}px;font:bold ${font / scale}px/1.1 monospace;` +
+          "color:#c00036;background:rgba(255,255,255,.85);border-radius:2px;");
+        label.textContent = `${String.fromCharCode(65 + c)}${r + 1}`;
+      }
+    }
+  }, { region, cols: grid.cols, rows: grid.rows }).catch(() => {});
+}
+
+async function clearGridOverlay(page) {
+  await page.evaluate(() => document.getElementById("__tgb_grid")?.remove()).catch(() => {});
+}
+
+// Screenshot of a viewport region, re-rendered at `scale` (crisp, not upscaled pixels)
+async function captureRegion(page, clip, scale = 1, beyondViewport = false) {
+  const cdp = await page.context().newCDPSession(page);
+  try {
+    const { left, top, dpr } = await page.evaluate(() => ({
+      left: window.visualViewport?.pageLeft ?? window.scrollX,
+      top: window.visualViewport?.pageTop ?? window.scrollY,
+      dpr: window.devicePixelRatio || 1
+    }));
+    // The capture comes out at devicePixelRatio × scale; keep `scale` relative to CSS px
+    const { data } = await cdp.send("Page.captureScreenshot", {
+      format: "png",
+      clip: { x: clip.x + left, y: clip.y + top, width: clip.width, height: clip.height, scale: scale / dpr },
+      captureBeyondViewport: beyondViewport
+    });
+    return Buffer.from(data, "base64");
+  } finally {
+    await cdp.detach().catch(() => {});
+  }
+}
+
+// ----------------- Element / Region Shots -----------------
+const SHOT_SCALES = [1, 2, 3];
+const MAX_SHOT_SIDE_PX = 10000;
+
+// Largest scale <= wanted that keeps the image within Chromium/Telegram limits
+function fitShotScale(clip, wanted) {
+  let scale = wanted;
+  while (scale > 1 && Math.max(clip.width, clip.height) * scale > MAX_SHOT_SIDE_PX) scale--;
+  return scale;
+}
+
+function parseShotScale(token) {
+  const m = /^[x×]?([123])$/i.exec(token || "");
+  return m ? Number(m[1]) : null;
+}
+
+async function shootElement(sess, target, scale) {
+  const page = getActivePage(sess);
+
+  let el;
+  if (/^\d+$/.test(target)) {
+    const hint = sess.hints.find(h => h.n === Number(target));
+    if (!hint) throw new Error(`No hint #${target}. Turn hints on with /hints, or pass a CSS selector.`);
+    el = hint.frame.locator(`[data-tgb-hint="${target}"]`).first();
+  } else {
+    el = page.locator(target).first();
+  }
+  if (!(await el.count().catch(() => 0))) throw new Error("No element matches that.");
+
+  await el.scrollIntoViewIfNeeded({ timeout: 5000 }).catch(() => {});
+  const box = await el.boundingBox();
+  if (!box || box.width < 1 || box.height < 1) throw new Error("Element is not visible.");
+
+  return await captureRegion(page, box, fitShotScale(box, scale), true);
+}
+
+// Focused field first, then the likeliest search/text box.
+// Resolves to true when the field was a password (or similar secret) field.
+async function typeIntoPage(page, text) {
+  const selectors = [
+    // whatever the user focused (e.g. with /hint <n> focus) wins
+    "input:focus",
+    "textarea:focus",
+    "[contenteditable]:focus",
+    'input[type="search"]',
+    'input[name="q"]',
+    'input[aria-label*="search" i]',
+    'input[placeholder*="search" i]',
+    "input",
+    "textarea"
+  ];
+
+  for (const sel of selectors) {
+    const el = await page.$(sel);
+    if (!el) continue;
+    await el.click({ timeout: 2000 }).catch(() => {});
+    await el.fill("").catch(() => {});
+    await el.type(text, { delay: 12 }).catch(() => {});
+    return await el.evaluate(isSecretField).catch(() => false);
+  }
+  throw new Error("No input box found on this page.");
+}
+
+async function tapAt(sess, x, y) {
+  const page = getActivePage(sess);
+  await safeRun(async () => {
+    await page.mouse.move(x, y);
+    await page.mouse.click(x, y, { delay: 25 });
+    await page.waitForLoadState("domcontentloaded", { timeout: 4000 }).catch(() => {});
+    await page.waitForTimeout(300);
+    await applyZoomToPage(page, sess.zoom);
+  });
+  recordStep(sess, { type: "tap", x, y });
+}
+
+async function render(ctx, chatId, captionExtra = "") {
+  const sess = await getSession(chatId);
+  const page = getActivePage(sess);
+
+  const url = page.url() || "";
+  const title = await page.title().catch(() => "");
+
+  // A /find search lives in the page; drop the buttons once it's gone
+  if (sess.find && !(await page.evaluate(() => !!window.__tgbFind).catch(() => false))) sess.find = null;
+
+  if (sess.hintMode) sess.hints = await drawHints(page);
+
+  // Grid mode: lines on the full view, or a zoomed-in crop of the chosen cell
+  const gridRegion = sess.gridMode ? currentGridRegion(sess) : null;
+  const zoomedIn = sess.gridMode && sess.gridPath.length > 1;
+  if (gridRegion) await drawGridOverlay(page, gridRegion, sess.grid);
+
+  const shot = zoomedIn
+    ? await captureRegion(page, gridRegion, Math.min(4, Math.max(1, 800 / Math.max(gridRegion.width, gridRegion.height))))
+    : await page.screenshot({ fullPage: false, scale: "css" });
+
+  if (gridRegion) await clearGridOverlay(page);
+  if (sess.hintMode) await clearHintBadges(page);
+
+  sess.links = await collectLinks(page);
+  sess.media = await collectMedia(page);
+
+  const caption =
+    `🌐 ${title || "Page"}\n` +
+    `🔗 ${url || "(no url)"}\n` +
+    `🧩 Tab: ${sess.active + 1}/${sess.pages.length}  |  🔍 ${Math.round(sess.zoom * 100)}%\n` +
+    `${emulationSummary(sess)}\n` +
+    `🖱️ Tap: /tap x y  |  Grid: /grid\n` +
+    (sess.links.length ? `\nLinks: tap buttons or /click 1..${sess.links.length}` : "\nNo visible links detected.") +
+    (sess.media.length ? `\nMedia: /media or /video 1..${sess.media.length}` : "") +
+    (sess.hintMode ? `\n🔢 Hints: ${sess.hints.length}  |  /hint <n> [focus|hover]` : "") +
+    (sess.gridMode ? `\n🧊 Grid ${sess.grid.cols}×${sess.grid.rows}` +
+      (zoomedIn ? `, zoom ${sess.gridPath.length - 1}: ${Math.round(gridRegion.width)}×${Math.round(gridRegion.height)} px at (${Math.round(gridRegion.x)}, ${Math.round(gridRegion.y)})` : "") +
+      (sess.grid.cols * sess.grid.rows > GRID_MAX_BUTTONS ? "  |  /cell <A1..>" : "") : "") +
+    blockedCaption(page) +
+    (sess.recording ? `\n⏺️ Recording macro "${sess.recording.name}": ${sess.recording.steps.length} step(s)  |  /macro stop` : "") +
+    (captionExtra ? `\n\n${captionExtra}` : "") +
+    (sess.notices.length ? `\n${sess.notices.join("\n")}` : "");
+  sess.notices = [];
+
+  if (sess.lastMsgId) {
+    try {
+      await ctx.telegram.editMessageMedia(
+        chatId,
+        sess.lastMsgId,
+        undefined,
+        { type: "photo", media: { source: shot }, caption },
+        { ...buildKeyboard(sess) }
+      );
+      return;
+    } catch {
+      // fall through to send new
+    }
+  }
+
+  const msg = await ctx.replyWithPhoto({ source: shot }, { caption, ...buildKeyboard(sess) });
+  sess.lastMsgId = msg.message_id;
+}
+
+async function sendFullPageShot(ctx, chatId) {
+  const sess = await getSession(chatId);
+  const page = getActivePage(sess);
+  const title = await page.title().catch(() => "");
+  const url = page.url() || "";
+  const shot = await page.screenshot({ fullPage: true, scale: "css" });
+  const caption =
+    `🖼️ Full Page\n` +
+    `🌐 ${title || "Page"}\n` +
+    `🔗 ${url || "(no url)"}`;
+
+  await ctx.replyWithPhoto({ source: shot }, { caption });
+}
+
+async function formatTabs(sess) {
+  const lines = await Promise.all(sess.pages.map(async (p, i) => {
+    const t = await p.title().catch(() => "");
+    const u = p.url?.() || "";
+    const active = i === sess.active ? "✅" : "  ";
+    return `${active} ${i + 1}) ${t || "Untitled"}\n   ${u}`;
+  }));
+  return lines.join("\n\n") || "No tabs.";
+}
+
+// ----------------- Macros -----------------
+const MAX_MACROS = 30;
+const MAX_MACRO_STEPS = 100;
+const MACRO_STEP_DELAY_MS = 800;
+const MACRO_FILE_SUFFIX = ".macro.json";
+const SECRET_PROMPT_TIMEOUT_MS = 2 * 60 * 1000;
+// Steps that can load a page; each takes a navigation from the user's rate limit
+const MACRO_NAV_STEPS = ["go", "link", "nav", "tap", "enter"];
+
+/**
+ * Macros doc: { items: {name, steps, at}[] }
+ * Steps: {type: "go", url} | {type: "link", text, url} | {type: "tap", x, y}
+ *   | {type: "type", text} | {type: "type", secret: true} | {type: "enter"} | {type: "scroll", dy} | {type: "scroll", to: "top"|"bottom"}
+ *   | {type: "nav", action: "back"|"fwd"|"reload"|"home"} | {type: "fullshot"}
+ */
+async function getMacros(chatId) {
+  return await loadChatDoc("macros", chatId, { items: [] });
+}
+
+// Called by the handlers at the point an action succeeded
+function recordStep(sess, step) {
+  if (!sess.recording || sess.recording.steps.length >= MAX_MACRO_STEPS) return;
+  sess.recording.steps.push(step);
+}
+
+function describeStep(step) {
+  switch (step.type) {
+    case "go": return `go ${step.url}`;
+    case "link": return `link "${step.text}"`;
+    case "tap": return `tap ${step.x} ${step.y}`;
+    case "type": return step.secret ? "type •••• (asked for on each run)" : `type "${step.text}"`;
+    case "enter": return "enter";
+    case "scroll": return step.to ? `scroll to ${step.to}` : `scroll ${step.dy > 0 ? "down" : "up"} ${Math.abs(step.dy)}px`;
+    case "nav": return step.action;
+    case "fullshot": return "full page shot";
+    default: return step.type;
+  }
+}
+
+// Imported files are untrusted: keep only well-formed steps, fail on the rest
+function sanitizeSteps(steps) {
+  if (!Array.isArray(steps) || !steps.length) throw new Error("Macro has no steps.");
+  if (steps.length > MAX_MACRO_STEPS) throw new Error(`Macro too long (max ${MAX_MACRO_STEPS} steps).`);
+
+  const str = (v, max = MAX_URL_LEN) => typeof v === "string" && v.length <= max;
+  const num = (v) => typeof v === "number" && Number.isFinite(v);
+  return steps.map((s, i) => {
+    const bad = () => new Error(`Step ${i + 1} is not valid: ${JSON.stringify(s).slice(0, 100)}`);
+    switch (s?.type) {
+      case "go": if (!str(s.url)) throw bad(); return { type: "go", url: s.url };
+      case "link": if (!str(s.text, 200) || !str(s.url)) throw bad(); return { type: "link", text: s.text, url: s.url };
+      case "tap": if (!num(s.x) || !num(s.y)) throw bad(); return { type: "tap", x: Math.round(s.x), y: Math.round(s.y) };
+      case "type":
+        if (s.secret === true) return { type: "type", secret: true };
+        if (!str(s.text, 4000)) throw bad();
+        return { type: "type", text: s.text };
+      case "enter": return { type: "enter" };
+      case "scroll":
+        if (["top", "bottom"].includes(s.to)) return { type: "scroll", to: s.to };
+        if (!num(s.dy)) throw bad();
+        return { type: "scroll", dy: Math.round(s.dy) };
+      case "nav": if (!["back", "fwd", "reload", "home"].includes(s.action)) throw bad(); return { type: "nav", action: s.action };
+      case "fullshot": return { type: "fullshot" };
+      default: throw bad();
+    }
+  });
+}
+
+async function saveMacro(chatId, name, steps) {
+  const doc = await getMacros(chatId);
+  const existing = doc.items.find(m => m.name === name);
+  if (!existing && doc.items.length >= MAX_MACROS) throw new Error(`Macro limit reached (${MAX_MACROS}). Delete some with /macro delete.`);
+
+  const macro = { name, steps, at: Date.now() };
+  if (existing) Object.assign(existing, macro);
+  else doc.items.push(macro);
+  saveChatDoc("macros", chatId);
+  return macro;
+}
+
+async function runMacroStep(ctx, chatId, sess, step) {
+  const page = getActivePage(sess);
+  const settle = async (ms) => {
+    await page.waitForLoadState("domcontentloaded", { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+    await page.waitForTimeout(ms);
+    await applyZoomToPage(page, sess.zoom);
+  };
+
+  switch (step.type) {
+    case "go":
+    case "link": {
+      let url = step.url;
+      if (step.type === "link") {
+        // Same link text on today's page beats the URL recorded yesterday
+        const links = await collectLinks(page);
+        url = links.find(l => l.text === step.text)?.href || url;
+      }
+      url = await validateUrl(url);
+      await safeRun(async () => {
+        await page.goto(url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+        await settle(450);
+      });
+      return;
+    }
+    case "tap": {
+      const vp = sess.viewport;
+      if (step.x >= vp.width || step.y >= vp.height || step.x < 0 || step.y < 0) {
+        throw new Error(`(${step.x}, ${step.y}) is outside the ${vp.width}×${vp.height} viewport.`);
+      }
+      await tapAt(sess, step.x, step.y);
+      return;
+    }
+    case "type": {
+      const text = step.secret ? await askSecret(chatId, sess) : step.text;
+      await safeRun(() => typeIntoPage(page, text));
+      return;
+    }
+    case "enter":
+      await safeRun(async () => {
+        await page.keyboard.press("Enter");
+        await settle(600);
+      });
+      return;
+    case "scroll":
+      await safeRun(async () => {
+        if (step.to) await page.evaluate((to) => window.scrollTo(0, to === "top" ? 0 : document.body.scrollHeight), step.to);
+        else await page.mouse.wheel(0, step.dy);
+        await page.waitForTimeout(150);
+      });
+      return;
+    case "nav":
+      await safeRun(async () => {
+        if (step.action === "back") await page.goBack({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+        else if (step.action === "fwd") await page.goForward({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+        else if (step.action === "reload") await page.reload({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+        else await page.goto(await homeUrl(chatId), { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+        await settle(350);
+      });
+      return;
+    case "fullshot":
+      await sendFullPageShot(ctx, chatId);
+      return;
+  }
+}
+
+// Passwords are never stored in a macro: each run asks the chat for them
+async function askSecret(chatId, sess) {
+  const signal = currentAction()?.controller.signal;
+  signal?.throwIfAborted();
+  const msg = await bot.telegram.sendMessage(chatId,
+    "🔑 This step types into a password field. Reply to this message with it (your reply is deleted right away).",
+    { reply_markup: { force_reply: true } });
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const settle = (fn, value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        sess.secretPrompt = null;
+        fn(value);
+      };
+      const onAbort = () => settle(reject, signal.reason);
+      const timer = setTimeout(() => settle(reject, new Error("No password given.")), SECRET_PROMPT_TIMEOUT_MS);
+      signal?.addEventListener("abort", onAbort);
+      sess.secretPrompt = { msgId: msg.message_id, resolve: (text) => settle(resolve, text) };
+    });
+  } finally {
+    await bot.telegram.deleteMessage(chatId, msg.message_id).catch(() => {});
+  }
+}
+
+// Replays step by step; the first failure stops the run and says where
+async function runMacro(ctx, chatId, sess, macro) {
+  const total = macro.steps.length;
+  const userId = ctx.from.id;
+  for (let i = 0; i < total; i++) {
+    const step = macro.steps[i];
+    const waitMs = MACRO_NAV_STEPS.includes(step.type) && !isAdmin(userId) ? takeRateToken(userId, "navigate") : 0;
+    if (waitMs) {
+      await render(ctx, chatId, `⏳ Macro "${macro.name}" stopped at step ${i + 1}/${total}: limit is ` +
+        `${RATE_LIMITS.navigate.limit} ${RATE_LIMITS.navigate.label}. Try again in ${Math.ceil(waitMs / 1000)}s.`);
+      return false;
+    }
+    try {
+      await runMacroStep(ctx, chatId, sess, step);
+    } catch (e) {
+      const reason = e.name === "AbortError" ? "superseded by a newer action" : e.message?.split("\n")[0] || "failed";
+      await render(ctx, chatId, `❌ Macro "${macro.name}" stopped at step ${i + 1}/${total} (${describeStep(step)}): ${reason}`);
+      return false;
+    }
+    if (i < total - 1) await getActivePage(sess).waitForTimeout(MACRO_STEP_DELAY_MS);
+  }
+  await render(ctx, chatId, `▶️ Macro "${macro.name}" done: ${total} step${total === 1 ? "" : "s"}`);
+  return true;
+}
+
+// ----------------- Page Watch -----------------
+const MAX_WATCHES_PER_CHAT = envInt("MAX_WATCHES_PER_CHAT", 10);
+const WATCH_MIN_INTERVAL_MS = envInt("WATCH_MIN_INTERVAL_MINUTES", 5) * 60 * 1000;
+const WATCH_MAX_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+const WATCH_TICK_MS = 30 * 1000;
+const WATCH_SETTLE_MS = 1500;
+const WATCH_HASH_THRESHOLD = 6;  // of 64 bits; below that it's noise (anti-aliasing, blinking cursors)
+const WATCH_FAILURES_BEFORE_NOTICE = 3;
+const WATCH_TEXT_MAX = 2000;
+
+let watchRunning = false;
+
+/**
+ * Watches doc: { nextId, items: {id, url, selector, everyMs, lastText, lastHash,
+ *   lastCheck, lastChange, failures}[] }. lastText is null for screenshot-hash watches.
+ */
+async function getWatches(chatId) {
+  return await loadChatDoc("watches", chatId, { nextId: 1, items: [] });
+}
+
+// Pull every chat's watches into memory so the scheduler sees them after a restart
+async function loadWatches() {
+  const files = await fs.readdir(path.join(DATA_DIR, "watches")).catch(() => []);
+  for (const file of files) {
+    const m = /^(-?\d+)\.json$/.exec(file);
+    if (m) await getWatches(Number(m[1]));
+  }
+}
+
+// "10m", "2h", "1d" -> ms
+function parseInterval(text) {
+  const m = /^(\d+)\s*(m|min|mins|minutes?|h|hours?|d|days?)$/i.exec((text || "").trim());
+  if (!m) return null;
+  const unit = m[2][0].toLowerCase();
+  return Number(m[1]) * { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[unit];
+}
+
+function formatInterval(ms) {
+  if (ms % (24 * 60 * 60 * 1000) === 0) return `${ms / (24 * 60 * 60 * 1000)}d`;
+  if (ms % (60 * 60 * 1000) === 0) return `${ms / (60 * 60 * 1000)}h`;
+  return `${Math.round(ms / 60000)}m`;
+}
+
+function formatAgo(at) {
+  if (!at) return "never";
+  const min = Math.round((Date.now() - at) / 60000);
+  if (min < 1) return "just now";
+  if (min < 120) return `${min} min ago`;
+  if (min < 48 * 60) return `${Math.round(min / 60)} h ago`;
+  return `${Math.round(min / 1440)} d ago`;
+}
+
+// 64-bit difference hash of a PNG, computed by the browser's own image decoder
+async function imageHash(context, png) {
+  const scratch = await context.newPage();
+  try {
+    return await scratch.evaluate(async (src) => {
+      const img = new Image();
+      img.src = src;
+      await img.decode();
+      const canvas = document.createElement("canvas");
+      canvas.width = 9;
+      canvas.height = 8;
+      const g = canvas.getContext("2d");
+      g.drawImage(img, 0, 0, 9, 8);
+      const px = g.getImageData(0, 0, 9, 8).data;
+      const lum = (x, y) => {
+        const i = (y * 9 + x) * 4;
+        return px[i] * 0.299 + px[i + 1] * 0.587 + px[i + 2] * 0.114;
+      };
+      let bits = "";
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) bits += lum(x, y) < lum(x + 1, y) ? "1" : "0";
+      }
+      return BigInt(`0b${bits}`).toString(16).padStart(16, "0");
+    }, `data:image/png;base64,${png.toString("base64")}`);
+  } finally {
+    await scratch.close().catch(() => {});
+  }
+}
+
+function hashDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  for (; x; x >>= 1n) n += Number(x & 1n);
+  return n;
+}
+
+// The chat's own settings (proxy, device, locale, geo...): from its live
+// session, else from the profile it will come back with
+async function chatEmulation(chatId) {
+  const sess = sessions.get(chatId);
+  if (sess) return emulationOf(sess);
+  const saved = await readResumeProfile(chatId);
+  return emulationOf({ ...saved, proxy: chatProxies.get(chatId) ?? null });
+}
+
+// One look at the watched page in a throwaway context: never the chat's tabs.
+// -> { text, hash, shot }  (text null when comparing screenshots)
+// Takes a session slot while it runs; with none free it resolves to null and
+// the watch waits for a later tick (live chats never get evicted for one).
+async function checkWatch(chatId, watch) {
+  if (slotsInUse() >= MAX_SESSIONS) return null;
+  watchContexts++;
+  let context;
+  try {
+    context = await createContext(chatId, await chatEmulation(chatId), undefined, { background: true });
+  } catch (e) {
+    watchContexts--;
+    admitQueued();
+    throw e;
+  }
+  try {
+    const page = await context.newPage();
+    await page.goto(watch.url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+    await page.waitForLoadState("networkidle", { timeout: WATCH_SETTLE_MS * 2 }).catch(() => {});
+    await page.waitForTimeout(WATCH_SETTLE_MS);
+
+    if (watch.selector) {
+      const el = page.locator(watch.selector).first();
+      await el.waitFor({ state: "attached", timeout: NAV_TIMEOUT_MS }).catch(() => {
+        throw new Error(`Nothing matches ${watch.selector} on the page.`);
+      });
+      const text = (await el.innerText().catch(() => "")).trim().replace(/\s+/g, " ").slice(0, WATCH_TEXT_MAX);
+      const shot = await el.screenshot({ timeout: NAV_TIMEOUT_MS, scale: "css" }).catch(() => null) ||
+        await page.screenshot({ scale: "css" });
+      return { text: text || null, hash: text ? null : await imageHash(context, shot), shot };
+    }
+
+    const shot = await page.screenshot({ scale: "css" });
+    return { text: null, hash: await imageHash(context, shot), shot };
+  } finally {
+    await context.close().catch(() => {});
+    watchContexts--;
+    admitQueued();
+  }
+}
+
+function watchLabel(watch) {
+  return `${entryLabel("", watch.url, 60)}${watch.selector ? ` ${watch.selector}` : ""}`;
+}
+
+async function runWatch(chatId, watch) {
+  let result;
+  try {
+    result = await checkWatch(chatId, watch);
+    if (!result) return;
+  } catch (e) {
+    watch.failures = (watch.failures || 0) + 1;
+    watch.lastCheck = Date.now();
+    saveChatDoc("watches", chatId);
+    if (watch.failures === WATCH_FAILURES_BEFORE_NOTICE) {
+      await bot.telegram.sendMessage(chatId,
+        `⚠️ Watch ${watchLabel(watch)} failed ${watch.failures} times in a row:\n${e.message?.split("\n")[0] || "error"}\nStill trying; /unwatch to stop.`
+      ).catch(() => {});
+    }
+    return;
+  }
+
+  const before = watch.lastText ?? null;
+  let changed = false;
+  if (before !== null && result.text !== null) changed = result.text !== before;
+  else if (watch.lastHash && result.hash) changed = hashDistance(watch.lastHash, result.hash) > WATCH_HASH_THRESHOLD;
+  // The element gained or lost its text
+  else if (before !== null || watch.lastHash) changed = true;
+
+  watch.failures = 0;
+  watch.lastCheck = Date.now();
+  watch.lastText = result.text;
+  watch.lastHash = result.hash;
+  if (changed) watch.lastChange = Date.now();
+  saveChatDoc("watches", chatId);
+  if (!changed) return;
+
+  const clip = (t) => (t.length > 400 ? `${t.slice(0, 399)}…` : t);
+  const details = result.text !== null
+    ? `\n\nBefore: ${clip(before || "(no text)")}\nAfter: ${clip(result.text)}`
+    : "\n\nThe page looks different.";
+  await bot.telegram.sendPhoto(chatId, { source: result.shot }, {
+    caption: `👁️ Changed: ${watchLabel(watch)}\n🔗 ${watch.url}`.slice(0, 300) + details
+  }).catch(() => {});
+}
+
+// Access revoked: the chat's watches go with it
+async function dropWatches(chatId) {
+  const doc = await getWatches(chatId);
+  if (!doc.items.length) return;
+  doc.items.length = 0;
+  saveChatDoc("watches", chatId);
+}
+
+// One check at a time across all chats: watches share the box with live sessions
+setInterval(async () => {
+  if (watchRunning) return;
+  watchRunning = true;
+  try {
+    for (const [key, doc] of chatDocs) {
+      if (!key.startsWith("watches/")) continue;
+      const chatId = Number(key.slice("watches/".length));
+      if (access.deny.has(chatId)) continue;
+      for (const watch of [...doc.data.items]) {
+        if (Date.now() - (watch.lastCheck || 0) < watch.everyMs) continue;
+        // Removed by /unwatch while an earlier check ran
+        if (!doc.data.items.includes(watch)) continue;
+        await runWatch(chatId, watch);
+      }
+    }
+  } finally {
+    watchRunning = false;
+  }
+}, WATCH_TICK_MS).unref();
+
+// ----------------- Access Control -----------------
+const parseIds = (v) => (v || "").split(",").map(x => x.trim()).filter(x => /^-?\d+$/.test(x)).map(Number);
+
+// Admins always get in and are never rate limited
+const ADMIN_IDS = new Set(parseIds(process.env.ADMIN_USERS));
+// User or chat ids. With no admins and no allowlist at all, the bot stays open.
+const ENV_ALLOWED_IDS = new Set(parseIds(process.env.ALLOWED_USERS));
+const ACCESS_FILE = path.join(DATA_DIR, "access.json");
+
+const RATE_LIMITS = {
+  navigate: { limit: envInt("RATE_NAV_PER_MIN", 20), windowMs: 60 * 1000, label: "navigations per minute" },
+  media: { limit: envInt("RATE_MEDIA_PER_HOUR", 10), windowMs: 60 * 60 * 1000, label: "media downloads per hour" }
+};
+const MEDIA_COMMANDS = ["video", "download", "save"];
+// Besides /go, /click and the nav buttons: everything that can load a page.
+// Emulation changes reload every tab; /macro run pays per step (runMacro).
+const PAGE_LOAD_COMMANDS = [
+  "tap", "hint", "cell", "enter", "submit", "select", "check", "watch", "profile",
+  "mobile", "device", "viewport", "locale", "timezone", "geo", "theme", "proxy"
+];
+// Enter submits forms, Space presses the focused button
+const PAGE_LOAD_CALLBACK_RE = /^(grid:cell:|hint:\d+$|key:.*(enter|space)$|tab:new$)/i;
+
+const access = { allow: new Set(), deny: new Set() }; // managed with /admin, kept in ACCESS_FILE
+const rateHits = new Map(); // `${userId}|${kind}` -> timestamps inside the window
+
+async function loadAccessList() {
+  const data = await readJson(ACCESS_FILE, {});
+  access.allow = new Set((data.allow || []).map(Number));
+  access.deny = new Set((data.deny || []).map(Number));
+}
+
+async function saveAccessList() {
+  await writeJson(ACCESS_FILE, { allow: [...access.allow], deny: [...access.deny] });
+}
+
+function isAdmin(userId) {
+  return ADMIN_IDS.has(userId);
+}
+
+function isOpenAccess() {
+  return ADMIN_IDS.size === 0 && ENV_ALLOWED_IDS.size === 0 && access.allow.size === 0;
+}
+
+function isAuthorized(userId, chatId) {
+  if (isAdmin(userId)) return true;
+  if (access.deny.has(userId) || access.deny.has(chatId)) return false;
+
+  return isOpenAccess() || [userId, chatId].some(id => ENV_ALLOWED_IDS.has(id) || access.allow.has(id));
+}
+
+function loadsPage(ctx) {
+  if (actionKind(ctx) === "navigate") return true;
+  const data = ctx.callbackQuery?.data;
+  if (data) return PAGE_LOAD_CALLBACK_RE.test(data);
+
+  const name = commandName(ctx);
+  const arg = argText(ctx.message?.text).toLowerCase();
+  if (name === "key") return /enter|space/.test(arg);
+  if (name === "tab") return arg === "new";
+  return PAGE_LOAD_COMMANDS.includes(name);
+}
+
+function rateKind(ctx) {
+  if (loadsPage(ctx)) return "navigate";
+  if (MEDIA_COMMANDS.includes(commandName(ctx))) return "media";
+  return null;
+}
+
+// Sliding window. Returns 0 and counts the hit, or the ms until one is allowed.
+function takeRateToken(userId, kind) {
+  const { limit, windowMs } = RATE_LIMITS[kind];
+  const key = `${userId}|${kind}`;
+  const now = Date.now();
+  const hits = (rateHits.get(key) || []).filter(t => now - t < windowMs);
+
+  if (hits.length >= limit) {
+    rateHits.set(key, hits);
+    return windowMs - (now - hits[0]);
+  }
+  hits.push(now);
+  rateHits.set(key, hits);
+  return 0;
+}
+
+bot.use(async (ctx, next) => {
+  const userId = ctx.from?.id;
+  if (userId === undefined) return;
+
+  if (!isAuthorized(userId, ctx.chat?.id)) {
+    if (ctx.callbackQuery) return ctx.answerCbQuery("⛔ Not authorized").catch(() => {});
+    if (ctx.message) return ctx.reply(`⛔ This bot is private. Ask an admin to allow your id: ${userId}`).catch(() => {});
+    return;
+  }
+
+  const kind = isAdmin(userId) ? null : rateKind(ctx);
+  const waitMs = kind ? takeRateToken(userId, kind) : 0;
+  if (waitMs) {
+    const text = `⏳ Limit is ${RATE_LIMITS[kind].limit} ${RATE_LIMITS[kind].label}. Try again in ${Math.ceil(waitMs / 1000)}s.`;
+    if (ctx.callbackQuery) return ctx.answerCbQuery(text, { show_alert: true }).catch(() => {});
+    return ctx.reply(text).catch(() => {});
+  }
+
+  return next();
+});
+
+// ----------------- Inline Mode -----------------
+// "@bot example.com" in any chat -> a card with a screenshot of the page.
+// Telegram only takes photos by file_id or public URL, so shots are first
+// posted to INLINE_STORAGE_CHAT_ID (e.g. a private channel the bot admins).
+// Inline mode is off without one.
+const INLINE_STORAGE_CHAT_ID = parseIds(process.env.INLINE_STORAGE_CHAT_ID)[0] ?? null;
+const INLINE_NAV_TIMEOUT_MS = 8000;
+// Telegram drops answers to queries older than ~10 s. A render that misses
+// this keeps going and lands in the cache for the next keystroke.
+const INLINE_ANSWER_DEADLINE_MS = 7000;
+const INLINE_CACHE_TTL_MS = envInt("INLINE_CACHE_MINUTES", 10) * 60 * 1000;
+const INLINE_CACHE_MAX = 200;
+const INLINE_MAX_PAGES = 3;
+const INLINE_IDLE_MS = 2 * 60 * 1000;
+const INLINE_CHAT_ID = 0; // owner of the pooled context: nobody to notify
+
+const inlineCache = new Map();   // url -> { at, preview }, oldest first
+const inlineRenders = new Map(); // url -> Promise<preview> while rendering
+// One shared context for everyone's previews, closed when idle
+const inlinePool = { context: null, pages: 0, idleTimer: null };
+let nextInlineResultId = 1;
+
+async function acquireInlinePage() {
+  if (inlinePool.pages >= INLINE_MAX_PAGES) throw new Error("Too many previews at once.");
+  inlinePool.pages++;
+  clearTimeout(inlinePool.idleTimer);
+  try {
+    inlinePool.context ||= createContext(INLINE_CHAT_ID, emulationOf(DEFAULT_EMULATION), undefined, { background: true });
+    const page = await (await inlinePool.context).newPage();
+    // A preview has no use for popups; close them (and theirs) as they open
+    const closePopups = (p) => p.on("popup", (popup) => {
+      closePopups(popup);
+      popup.close().catch(() => {});
+    });
+    closePopups(page);
+    return page;
+  } catch (e) {
+    inlinePool.context = null;
+    releaseInlinePage(null);
+    throw e;
+  }
+}
+
+function releaseInlinePage(page) {
+  page?.close().catch(() => {});
+  if (--inlinePool.pages > 0) return;
+  inlinePool.idleTimer = setTimeout(() => {
+    const closing = inlinePool.context;
+    inlinePool.context = null;
+    closing?.then(c => c.close()).catch(() => {});
+  }, INLINE_IDLE_MS);
+  inlinePool.idleTimer.unref();
+}
+
+async function renderPreview(url) {
+  const page = await acquireInlinePage();
+  try {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: INLINE_NAV_TIMEOUT_MS });
+    await page.waitForTimeout(500);
+
+    const meta = await page.evaluate(() => {
+      const content = (sel) => document.querySelector(sel)?.getAttribute("content")?.trim() || "";
+      return {
+        title: content('meta[property="og:title"]') || document.title,
+        description: content('meta[property="og:description"]') || content('meta[name="description"]')
+      };
+    }).catch(() => ({ title: "", description: "" }));
+    const clean = (t, max) => (t || "").trim().replace(/\s+/g, " ").slice(0, max);
+
+    const shot = await page.screenshot({ type: "jpeg", quality: 80, scale: "css" });
+    const msg = await bot.telegram.sendPhoto(INLINE_STORAGE_CHAT_ID, { source: shot }, { caption: url, disable_notification: true });
+    const fileId = msg.photo[msg.photo.length - 1].file_id;
+
+    return {
+      url: page.url() || url,
+      title: clean(meta.title, 100) || shortHost(url),
+      description: clean(meta.description, 200),
+      fileId
+    };
+  } finally {
+    releaseInlinePage(page);
+  }
+}
+
+// Cached, and one render per URL however many keystrokes ask for it
+async function getPreview(url) {
+  const hit = inlineCache.get(url);
+  if (hit && Date.now() - hit.at < INLINE_CACHE_TTL_MS) return hit.preview;
+  if (inlineRenders.has(url)) return inlineRenders.get(url);
+
+  const rendering = pTimeout(renderPreview(url), { milliseconds: TOTAL_TIMEOUT_MS })
+    .then((preview) => {
+      inlineCache.delete(url);
+      inlineCache.set(url, { at: Date.now(), preview });
+      if (inlineCache.size > INLINE_CACHE_MAX) inlineCache.delete(inlineCache.keys().next().value);
+      return preview;
+    })
+    .finally(() => inlineRenders.delete(url));
+  inlineRenders.set(url, rendering);
+  return rendering;
+}
+
+function inlineResult(preview) {
+  return {
+    type: "photo",
+    id: String(nextInlineResultId++),
+    photo_file_id: preview.fileId,
+    title: preview.title,
+    description: preview.description || preview.url,
+    caption: `🌐 ${preview.title}\n🔗 ${preview.url}`
+  };
+}
+
+// ----------------- Per-chat Action Queue -----------------
+/**
+ * Commands and button presses of one chat run strictly one after another,
+ * so two actions never drive the same page or race on sess.lastMsgId.
+ *
+ * Per chat: { running: Action|null, pending: Action[], tail: Promise }
+ * Action:   { kind, controller: AbortController, scrollSteps: number, dropped: boolean, startedAt: number }
+ *
+ * Nothing holds the line for good: an action is aborted after
+ * ACTION_TIMEOUT_MS, by /stop, or by any newer command once it has run for
+ * ACTION_STUCK_MS. If it ignores the abort, the queue moves on without it.
+ */
+const ACTION_TIMEOUT_MS = envInt("ACTION_TIMEOUT_MS", 5 * 60 * 1000);
+const ACTION_STUCK_MS = 60 * 1000;
+const ABORT_GRACE_MS = 2000;
+const chatQueues = new Map();
+const actionStore = new AsyncLocalStorage();
+
+function currentAction() {
+  return actionStore.getStore();
+}
+
+const NAV_COMMANDS = ["go", "click"];
+const NAV_CALLBACK_RE = /^(nav:(back|fwd|home|reload)$|link:|lk:(open|tab):|hist:open:|bm:open:)/;
+
+function commandName(ctx) {
+  return /^\/(\w+)/.exec(ctx.message?.text || "")?.[1]?.toLowerCase() || null;
+}
+
+function actionKind(ctx) {
+  const data = ctx.callbackQuery?.data;
+  if (data === "nav:up" || data === "nav:down") return "scroll";
+  if (data && NAV_CALLBACK_RE.test(data)) return "navigate";
+
+  if (NAV_COMMANDS.includes(commandName(ctx))) return "navigate";
+  if (commandName(ctx) === "stop") return "stop";
+  return "other";
+}
+
+// Settles with the handler; if it's still going ABORT_GRACE_MS after an
+// abort, rejects with the abort reason instead.
+function untilDoneOrAborted(handling, signal) {
+  return new Promise((resolve, reject) => {
+    handling.then(resolve, reject);
+    signal.addEventListener("abort", () => {
+      setTimeout(() => reject(signal.reason), ABORT_GRACE_MS).unref();
+    }, { once: true });
+  });
+}
+
+bot.use(async (ctx, next) => {
+  const chatId = ctx.chat?.id;
+  // No chat (inline queries): nothing to serialize, but a preview render
+  // mustn't hold the update batch either
+  if (chatId === undefined) {
+    next().catch((err) => reportError(err, ctx));
+    return;
+  }
+  if (isDialogAnswer(ctx)) return next();
+
+  let queue = chatQueues.get(chatId);
+  if (!queue) {
+    queue = { running: null, pending: [], tail: Promise.resolve() };
+    chatQueues.set(chatId, queue);
+  }
+
+  const kind = actionKind(ctx);
+  const scrollDelta = ctx.callbackQuery?.data === "nav:down" ? 1 : -1;
+
+  // Several ⬆️/⬇️ presses waiting in line become a single longer scroll
+  if (kind === "scroll") {
+    const last = queue.pending[queue.pending.length - 1];
+    if (last?.kind === "scroll") {
+      last.scrollSteps += scrollDelta;
+      await ctx.answerCbQuery().catch(() => {});
+      return;
+    }
+  }
+
+  // A newer navigation makes older ones pointless, queued or in flight
+  if (kind === "navigate") {
+    for (const a of queue.pending) if (a.kind === "navigate") a.dropped = true;
+    if (queue.running?.kind === "navigate") {
+      queue.running.controller.abort(new Error("Superseded by a newer navigation."));
+    }
+  }
+
+  if (kind === "stop") {
+    ctx.state.stopped = !!queue.running || queue.pending.length > 0;
+    for (const a of queue.pending) a.dropped = true;
+    queue.running?.controller.abort(new Error("Stopped."));
+  } else if (queue.running && !queue.running.controller.signal.aborted &&
+      Date.now() - queue.running.startedAt > ACTION_STUCK_MS) {
+    queue.running.controller.abort(new Error("Stopped: it was taking too long and a newer command came in."));
+  }
+
+  const action = {
+    kind,
+    controller: new AbortController(),
+    scrollSteps: kind === "scroll" ? scrollDelta : 0,
+    dropped: false,
+    startedAt: 0
+  };
+  queue.pending.push(action);
+
+  let deadline;
+  const run = async () => {
+    queue.pending.splice(queue.pending.indexOf(action), 1);
+    try {
+      if (action.dropped) {
+        if (ctx.callbackQuery) await ctx.answerCbQuery("Superseded").catch(() => {});
+        return;
+      }
+      queue.running = action;
+      action.startedAt = Date.now();
+      deadline = setTimeout(() => {
+        action.controller.abort(new Error(`Stopped: took longer than ${Math.round(ACTION_TIMEOUT_MS / 1000)} s.`));
+      }, ACTION_TIMEOUT_MS);
+      await untilDoneOrAborted(actionStore.run(action, () => next()), action.controller.signal);
+    } finally {
+      clearTimeout(deadline);
+      queue.running = null;
+      if (!queue.pending.length) chatQueues.delete(chatId);
+    }
+  };
+
+  // Not awaited: polling waits for the whole update batch, so holding it here
+  // would stall other chats and keep newer presses from ever reaching the queue.
+  const done = queue.tail.then(run);
+  queue.tail = done.catch(() => {});
+  done.catch((err) => reportError(err, ctx));
+});
+
+// ----------------- Commands -----------------
+bot.start(async (ctx) => {
+  await ctx.reply(
+`🧭 Remote Browser (Grid + Zoom + Mobile)
+
+Open / Navigate:
+• /go <url or search>
+• /click <n>
+• /url
+• /stop   (cancel what's running or waiting)
+
+Links:
+• /links [filter]   (every link on the page)
+
+Tap:
+• /tap <x> <y>
+• /grid [10x8]     (tap a cell like A1..F4, zooms in first)
+• /cell <A1>       (for grids too big for buttons)
+• /hints [on|off]  (numbered badges)
+• /hint <n> [focus|hover]
+
+Save:
+• /shot <selector | hint#> [x2|x3]
+• /crop <x> <y> <w> <h> [x2|x3]
+• /save pdf [A4|Letter|...] [landscape]
+• /save html   (single file)
+• /save mhtml
+
+Downloads:
+• /downloads   (files the page starts downloading are sent here)
+
+Uploads:
+• send a document or photo, then pick the file input to attach it to
+
+Find:
+• /find <text>
+
+Read:
+• /read   (article text)
+• /text   (text on screen)
+
+Keys:
+• /key <combo> [count]   (Tab, Shift+Tab, Control+A, ArrowDown, PageDown...)
+
+Forms:
+• /forms
+• /fill <n> <value>
+• /check <n> [off]
+• /select <n> <option>
+• /submit <form#>
+
+Zoom:
+• /zoom 80..200
+• /zin  /zout
+
+Mobile:
+• /mobile on|off
+
+Device:
+• /device <name> | list [filter] | off
+• /viewport <w>x<h>
+• /locale <code> | off
+• /timezone <IANA id> | off
+• /geo <lat> <lon> | off
+• /theme dark | light | off
+
+Blocking:
+• /block   (status)
+• /block ads|images|fonts|media|cookies on|off
+• /block cookies accept   (also accept banners that can't be refused)
+
+Macros:
+• /macro record <name>  then  /macro stop
+• /macro run <name>
+• /macro list | delete <name> | export <name>
+• send a .macro.json file to import
+
+Watch:
+• /watch <url> [selector] every <15m|2h|1d>
+• /watches
+• /unwatch <n>
+
+Proxy:
+• /proxy <http|https|socks5://[user:pass@]host:port>
+• /proxy off  |  /proxy test   (shows the egress IP)
+  (not saved in profiles; set it again after a bot restart)
+
+Tabs:
+• /tabs
+• /tab new
+• /tab <n>
+• /tab close
+• /close
+
+Inline:
+• type @<this bot> <url> in any chat to share a page preview
+
+Profiles:
+• /profile save <name>
+• /profile load <name>
+• /profile list
+• /profile delete <name>
+
+History / Bookmarks:
+• /history [query]   /history clear
+• /bookmark [name]   (name it "home" to change 🏠)
+• /bookmarks
+• /unbookmark [n | name]`
+  );
+});
+
+bot.command("links", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const filter = argText(ctx.message.text);
+  const sess = await getSession(chatId);
+
+  try {
+    const items = await safeRun(() => collectAllLinks(getActivePage(sess), filter));
+    sess.linkList = { filter, items };
+  } catch (e) {
+    return ctx.reply(`❌ ${e.message || "Could not read the links."}`);
+  }
+
+  const { text, keyboard } = linksListing(sess, 0);
+  await ctx.reply(text, { ...(keyboard || {}), link_preview_options: { is_disabled: true } });
+});
+
+bot.command("media", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const sess = await getSession(chatId);
+
+  if (!sess.media.length) {
+    return ctx.reply("No media detected on this page.");
+  }
+
+  const lines = sess.media.map((item, i) => {
+    const safeUrl = item.url.length > 100 ? `${item.url.slice(0, 97)}...` : item.url;
+    const size = item.bytes ? `, ${formatBytes(item.bytes)}` : "";
+    return `${i + 1}) ${item.label} (${item.type}${size})\n${safeUrl}`;
+  });
+
+  await ctx.reply(
+    `🎬 Media found:\n\n${lines.join("\n\n")}\n\nUse /video <n> to play or /download <n> to download.`
+  );
+});
+
+bot.command("downloads", async (ctx) => {
+  const sess = await getSession(ctx.chat.id);
+  if (!sess.downloads.length) return ctx.reply("No downloads yet.");
+
+  const icons = { "in progress": "⏳", done: "✅", "too large": "📦", cancelled: "🚫" };
+  const lines = sess.downloads.map(d =>
+    `${icons[d.status] || "❌"} ${d.name}${d.bytes ? ` (${formatBytes(d.bytes)})` : ""}: ${d.status}\n   ${d.url.length > 100 ? `${d.url.slice(0, 97)}...` : d.url}`
+  );
+  await ctx.reply(`⬇️ Downloads:\n\n${lines.join("\n")}`);
+});
+
+bot.command("go", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const raw = argText(ctx.message.text);
+  if (!raw) return ctx.reply("Usage: /go <url or search>");
 
-  const x = Math.floor(colIndex * cellW + cellW / 2);
-  const y = Math.floor(rowIndex * cellH + cellH / 2);
+  try {
+    const isUrl = looksLikeUrl(raw);
+    const targetUrl = isUrl ? await validateUrl(raw) : buildSearchUrl(raw);
+    const sess = await getSession(chatId);
+    const page = getActivePage(sess);
 
-  return { x, y };
-}
+    await safeRun(async () => {
+      await page.goto(targetUrl, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+      await page.waitForTimeout(600);
+      await applyZoomToPage(page, sess.zoom);
+    });
+    recordStep(sess, { type: "go", url: targetUrl });
 
-async function render(ctx, chatId, captionExtra = "") {
+    await render(ctx, chatId, isUrl ? "" : `🔎 search: ${raw}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Failed to open."}`);
+  }
+});
+
+bot.command("url", async (ctx) => {
+  const chatId = ctx.chat.id;
   const sess = await getSession(chatId);
   const page = getActivePage(sess);
-
   const url = page.url() || "";
-  const title = await page.title().catch(() => "");
+  if (!url) return ctx.reply("No URL available.");
+  await ctx.reply(`🔗 ${url}`);
+});
 
-  const shot = await page.screenshot({ fullPage: false });
+bot.command("click", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const n = Number(argText(ctx.message.text));
+  if (!Number.isFinite(n) || n < 1) return ctx.reply("Usage: /click <number>");
 
-  sess.links = await collectLinks(page);
-  sess.media = await collectMedia(page);
+  const sess = await getSession(chatId);
+  const link = sess.links[n - 1];
+  if (!link) return ctx.reply(`No link #${n}.`);
 
-  const caption =
-    `🌐 ${title || "Page"}\n` +
-    `🔗 ${url || "(no url)"}\n` +
-    `🧩 Tab: ${sess.active + 1}/${sess.pages.length}  |  ${sess.mobile ? "📱 Mobile" : "🖥️ Desktop"}  |  🔍 ${Math.round(sess.zoom * 100)}%\n` +
-    `🖱️ Tap: /tap x y  |  Grid: /grid\n` +
-    (sess.links.length ? `\nLinks: tap buttons or /click 1..${sess.links.length}` : "\nNo visible links detected.") +
-    (sess.media.length ? `\nMedia: /media or /video 1..${sess.media.length}` : "") +
-    (captionExtra ? `\n\n${captionExtra}` : "");
+  try {
+    const url = await validateUrl(link.href);
+    const page = getActivePage(sess);
 
-  if (sess.lastMsgId) {
+    await safeRun(async () => {
+      await page.goto(url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+      await page.waitForTimeout(450);
+      await applyZoomToPage(page, sess.zoom);
+    });
+    recordStep(sess, { type: "link", text: link.text, url });
+
+    await render(ctx, chatId);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Click failed."}`);
+  }
+});
+
+// Tap anywhere (coords)
+bot.command("tap", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const parts = argText(ctx.message.text).split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return ctx.reply("Usage: /tap <x> <y>   e.g. /tap 640 360");
+
+  const x = Number(parts[0]);
+  const y = Number(parts[1]);
+
+  const sess = await getSession(chatId);
+  const vp = sess.viewport;
+
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return ctx.reply("❌ x and y must be numbers.");
+  if (x < 0 || y < 0 || x >= vp.width || y >= vp.height) {
+    return ctx.reply(`❌ Out of bounds. x:0-${vp.width - 1}, y:0-${vp.height - 1}`);
+  }
+
+  const page = getActivePage(sess);
+
+  try {
+    await safeRun(async () => {
+      await page.mouse.move(x, y);
+      await page.mouse.click(x, y, { delay: 30 });
+      await page.waitForLoadState("domcontentloaded", { timeout: 4000 }).catch(() => {});
+      await page.waitForTimeout(350);
+      await applyZoomToPage(page, sess.zoom);
+    });
+    recordStep(sess, { type: "tap", x, y });
+
+    await render(ctx, chatId, `🖱️ tapped: (${x}, ${y})`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Tap failed."}`);
+  }
+});
+
+// Hint mode: numbered badges on every clickable element
+bot.command("hints", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).toLowerCase();
+  if (arg && !["on", "off"].includes(arg)) return ctx.reply("Usage: /hints [on|off]");
+
+  const sess = await getSession(chatId);
+  sess.hintMode = arg ? arg === "on" : !sess.hintMode;
+  if (!sess.hintMode) sess.hints = [];
+  await render(ctx, chatId, sess.hintMode ? "🔢 hint mode on" : "🔢 hint mode off");
+});
+
+bot.command("hint", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const [num, mode = "click"] = argText(ctx.message.text).toLowerCase().split(/\s+/);
+  const sess = await getSession(chatId);
+
+  if (!num) {
+    if (!sess.hints.length) return ctx.reply("No hints. Turn them on with /hints.");
+    const lines = sess.hints.map(h => `${h.n}) <${h.tag}> ${h.label || ""}`);
+    return ctx.reply(`🔢 Hints:\n${lines.join("\n")}`);
+  }
+
+  const n = Number(num);
+  if (!Number.isInteger(n) || n < 1 || !["click", "focus", "hover"].includes(mode)) {
+    return ctx.reply("Usage: /hint <n> [click|focus|hover]");
+  }
+
+  try {
+    await actOnHint(sess, n, mode);
+    await render(ctx, chatId, `🔢 ${mode} #${n}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Hint action failed."}`);
+  }
+});
+
+// Grid tap (buttons, drawn on the screenshot)
+async function pickGridCell(ctx, chatId, sess, cell) {
+  const region = currentGridRegion(sess);
+  const sub = cellToRegion(cell, region, sess.grid);
+
+  // Zoom in while the cell is still coarse; tap once it's precise enough
+  const precise = sub.width <= GRID_MIN_TAP_PX && sub.height <= GRID_MIN_TAP_PX;
+  if (!precise && sess.gridPath.length < GRID_MAX_DEPTH) {
+    sess.gridPath.push(sub);
+    await render(ctx, chatId, `🧊 zoomed into ${cell}`);
+    return;
+  }
+
+  const { x, y } = cellToCenterCoords(cell, region, sess.grid);
+  await tapAt(sess, x, y);
+  resetGrid(sess);
+  await render(ctx, chatId, `🧊 grid tap ${cell} → (${x}, ${y})`);
+}
+
+bot.command("grid", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).toLowerCase();
+  const sess = await getSession(chatId);
+
+  if (arg === "off") {
+    sess.gridMode = false;
+    return render(ctx, chatId, "🧊 grid off");
+  }
+
+  if (arg) {
+    const m = /^(\d{1,2})\s*[x×]\s*(\d{1,2})$/.exec(arg);
+    const cols = Number(m?.[1]);
+    const rows = Number(m?.[2]);
+    if (!m || cols < 2 || rows < 2 || cols > GRID_MAX || rows > GRID_MAX) {
+      return ctx.reply(`Usage: /grid [<cols>x<rows>] | /grid off   (2..${GRID_MAX} each, e.g. /grid 10x8)`);
+    }
+    sess.grid = { cols, rows };
+  }
+
+  sess.gridMode = true;
+  resetGrid(sess);
+  const vp = sess.viewport;
+  await render(ctx, chatId,
+    `🧊 Grid Tap is ON\nViewport: ${vp.width}×${vp.height}\nTap a cell (A1..${gridLabel(sess.grid.cols - 1, sess.grid.rows - 1)}) to zoom in, then tap.`);
+});
+
+// For grids too big for buttons
+bot.command("cell", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const cell = argText(ctx.message.text).toUpperCase();
+  const sess = await getSession(chatId);
+
+  if (!sess.gridMode) return ctx.reply("Grid is off. Turn it on with /grid.");
+  if (!parseCell(cell, sess.grid)) {
+    return ctx.reply(`Usage: /cell <A1..${gridLabel(sess.grid.cols - 1, sess.grid.rows - 1)}>`);
+  }
+
+  try {
+    await pickGridCell(ctx, chatId, sess, cell);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Grid tap failed."}`);
+  }
+});
+
+// Zoom commands
+bot.command("zoom", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const val = Number(argText(ctx.message.text));
+  if (!Number.isFinite(val) || val < 50 || val > 250) {
+    return ctx.reply("Usage: /zoom <50..250>  (example: /zoom 120)");
+  }
+
+  const sess = await getSession(chatId);
+  sess.zoom = Math.round(val) / 100;
+
+  await applyZoomToAll(sess);
+  await render(ctx, chatId, `🔍 zoom set to ${Math.round(sess.zoom * 100)}%`);
+});
+
+bot.command("zin", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const sess = await getSession(chatId);
+  sess.zoom = Math.min(2.5, Math.round((sess.zoom + 0.1) * 10) / 10);
+  await applyZoomToAll(sess);
+  await render(ctx, chatId, `🔍 zoom: ${Math.round(sess.zoom * 100)}%`);
+});
+
+bot.command("zout", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const sess = await getSession(chatId);
+  sess.zoom = Math.max(0.5, Math.round((sess.zoom - 0.1) * 10) / 10);
+  await applyZoomToAll(sess);
+  await render(ctx, chatId, `🔍 zoom: ${Math.round(sess.zoom * 100)}%`);
+});
+
+// Mobile toggle
+bot.command("mobile", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).trim().toLowerCase();
+  if (!["on", "off"].includes(arg)) return ctx.reply("Usage: /mobile on | /mobile off");
+
+  const sess = await getSession(chatId);
+  const target = arg === "on";
+
+  if (sess.mobile === target && !sess.device) {
+    return ctx.reply(`Already in ${target ? "mobile" : "desktop"} mode.`);
+  }
+
+  await ctx.reply(`Switching to ${target ? "📱 mobile" : "🖥️ desktop"} mode...`);
+
+  await safeRun(async () => {
+    await recreateSessionContext(chatId, sess, {
+      mobile: target,
+      device: null,
+      viewport: target ? MOBILE_VIEWPORT : DESKTOP_VIEWPORT
+    });
+  });
+
+  await render(ctx, chatId, `✅ mode: ${target ? "📱 Mobile" : "🖥️ Desktop"}`);
+});
+
+// Device emulation: every change rebuilds the context (tabs and cookies kept)
+async function applyEmulation(ctx, chatId, sess, changes, note) {
+  try {
+    await safeRun(() => recreateSessionContext(chatId, sess, changes));
+  } catch (e) {
+    return ctx.reply(`❌ ${e.message?.split("\n")[0] || "Could not apply that setting."}`);
+  }
+  await render(ctx, chatId, note);
+}
+
+function findDevice(name) {
+  const wanted = name.toLowerCase();
+  return Object.keys(devices).find(d => d.toLowerCase() === wanted) || null;
+}
+
+bot.command("device", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).trim();
+  const [sub, ...rest] = arg.split(/\s+/);
+
+  if (!arg) {
+    const sess = await getSession(chatId);
+    return ctx.reply(`${emulationSummary(sess)}\n\nUsage: /device <name> | /device list [filter] | /device off`);
+  }
+
+  if (sub.toLowerCase() === "list") {
+    const filter = rest.join(" ").toLowerCase();
+    const names = Object.keys(devices).filter(d => !/landscape/i.test(d) && d.toLowerCase().includes(filter));
+    if (!names.length) return ctx.reply(`No device matches "${filter}".`);
+    for (const chunk of splitText(`📱 Devices (add " landscape" for most):\n\n${names.join("\n")}`)) {
+      await ctx.reply(chunk);
+    }
+    return;
+  }
+
+  const sess = await getSession(chatId);
+  if (sub.toLowerCase() === "off") {
+    return applyEmulation(ctx, chatId, sess, { device: null, mobile: false, viewport: DESKTOP_VIEWPORT }, "✅ device: 🖥️ Desktop");
+  }
+
+  const name = findDevice(arg);
+  if (!name) {
+    const close = Object.keys(devices).filter(d => d.toLowerCase().includes(arg.toLowerCase())).slice(0, 8);
+    return ctx.reply(`❌ Unknown device "${arg}".` + (close.length ? ` Did you mean:\n${close.join("\n")}` : " See /device list."));
+  }
+
+  const d = devices[name];
+  await applyEmulation(ctx, chatId, sess, { device: name, mobile: d.isMobile, viewport: d.viewport }, `✅ device: ${name}`);
+});
+
+bot.command("viewport", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).trim().toLowerCase();
+  const sess = await getSession(chatId);
+
+  const m = /^(\d{3,4})\s*[x×*]\s*(\d{3,4})$/.exec(arg);
+  if (!m) {
+    return ctx.reply(`Viewport: ${sess.viewport.width}×${sess.viewport.height}\nUsage: /viewport <width>x<height>   e.g. /viewport 1366x768`);
+  }
+  const viewport = { width: Number(m[1]), height: Number(m[2]) };
+  if (viewport.width < MIN_VIEWPORT.width || viewport.height < MIN_VIEWPORT.height ||
+      viewport.width > MAX_VIEWPORT.width || viewport.height > MAX_VIEWPORT.height) {
+    return ctx.reply(`❌ Viewport must be between ${MIN_VIEWPORT.width}×${MIN_VIEWPORT.height} and ${MAX_VIEWPORT.width}×${MAX_VIEWPORT.height}.`);
+  }
+
+  await applyEmulation(ctx, chatId, sess, { viewport }, `✅ viewport: ${viewport.width}×${viewport.height}`);
+});
+
+bot.command("locale", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).trim();
+  if (!arg) return ctx.reply("Usage: /locale <code> | /locale off   e.g. /locale de-DE");
+
+  let locale = null;
+  if (arg.toLowerCase() !== "off") {
     try {
-      await ctx.telegram.editMessageMedia(
-        chatId,
-        sess.lastMsgId,
-        undefined,
-        { type: "photo", media: { source: shot }, caption },
-        { ...buildKeyboard(sess) }
-      );
-      return;
+      [locale] = Intl.getCanonicalLocales(arg);
     } catch {
-      // fall through to send new
+      return ctx.reply(`❌ "${arg}" is not a locale code (try en-US, de-DE, ja-JP).`);
     }
   }
 
-  const msg = await ctx.replyWithPhoto({ source: shot }, { caption, ...buildKeyboard(sess) });
-  sess.lastMsgId = msg.message_id;
-}
+  const sess = await getSession(chatId);
+  await applyEmulation(ctx, chatId, sess, { locale }, `✅ locale: ${locale || "default"}`);
+});
+
+bot.command("timezone", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).trim();
+  if (!arg) return ctx.reply("Usage: /timezone <IANA id> | /timezone off   e.g. /timezone Europe/Berlin");
+
+  let timezone = null;
+  if (arg.toLowerCase() !== "off") {
+    try {
+      timezone = new Intl.DateTimeFormat("en", { timeZone: arg }).resolvedOptions().timeZone;
+    } catch {
+      return ctx.reply(`❌ Unknown timezone "${arg}" (try Europe/Berlin, America/New_York, Asia/Tokyo).`);
+    }
+  }
 
-async function sendFullPageShot(ctx, chatId) {
   const sess = await getSession(chatId);
-  const page = getActivePage(sess);
-  const title = await page.title().catch(() => "");
-  const url = page.url() || "";
-  const shot = await page.screenshot({ fullPage: true });
-  const caption =
-    `🖼️ Full Page\n` +
-    `🌐 ${title || "Page"}\n` +
-    `🔗 ${url || "(no url)"}`;
+  await applyEmulation(ctx, chatId, sess, { timezone }, `✅ timezone: ${timezone || "default"}`);
+});
 
-  await ctx.replyWithPhoto({ source: shot }, { caption });
-}
+bot.command("geo", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const parts = argText(ctx.message.text).replace(/,/g, " ").split(/\s+/).filter(Boolean);
+  const sess = await getSession(chatId);
 
-async function formatTabs(sess) {
-  const lines = await Promise.all(sess.pages.map(async (p, i) => {
-    const t = await p.title().catch(() => "");
-    const u = p.url?.() || "";
-    const active = i === sess.active ? "✅" : "  ";
-    return `${active} ${i + 1}) ${t || "Untitled"}\n   ${u}`;
-  }));
-  return lines.join("\n\n") || "No tabs.";
-}
+  if (parts[0]?.toLowerCase() === "off") {
+    return applyEmulation(ctx, chatId, sess, { geo: null }, "✅ location: off");
+  }
 
-// ----------------- Commands -----------------
-bot.start(async (ctx) => {
-  await ctx.reply(
-`🧭 Remote Browser (Grid + Zoom + Mobile)
+  const [latitude, longitude] = parts.map(Number);
+  if (parts.length !== 2 || !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return ctx.reply("Usage: /geo <lat> <lon> | /geo off   e.g. /geo 52.52 13.405");
+  }
 
-Open / Navigate:
-• /go <url or search>
-• /click <n>
-• /url
+  await applyEmulation(ctx, chatId, sess, { geo: { latitude, longitude } }, `✅ location: ${latitude}, ${longitude}`);
+});
 
-Tap:
-• /tap <x> <y>
-• /grid            (tap a cell like A1..F4)
+bot.command("theme", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).trim().toLowerCase();
+  if (!["dark", "light", "off"].includes(arg)) return ctx.reply("Usage: /theme dark | /theme light | /theme off");
 
-Zoom:
-• /zoom 80..200
-• /zin  /zout
+  const sess = await getSession(chatId);
+  const theme = arg === "off" ? null : arg;
+  await applyEmulation(ctx, chatId, sess, { theme }, `✅ theme: ${theme || "default"}`);
+});
 
-Mobile:
-• /mobile on|off
+bot.command("block", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const [kind, state] = argText(ctx.message.text).toLowerCase().split(/\s+/);
+  const settings = await getBlocking(chatId);
+
+  const usage = `Usage: /block ${BLOCK_KINDS.join("|")} on|off\n` +
+    "Cookie banners are only rejected or closed; /block cookies accept also accepts ones without a reject button.";
+  if (!kind) {
+    const cookieMode = settings.cookies === "accept" ? " (reject, else accept)" : " (reject/close only)";
+    const lines = BLOCK_KINDS.map(k => `${settings[k] ? "✅" : "▫️"} ${k}${k === "cookies" && settings.cookies ? cookieMode : ""}`);
+    return ctx.reply(`🛡️ Blocking:\n${lines.join("\n")}\n\nFilter rules loaded: ${filters.rules}\n${usage}`);
+  }
+  const accept = kind === "cookies" && state === "accept";
+  if (!BLOCK_KINDS.includes(kind) || !(["on", "off"].includes(state) || accept)) return ctx.reply(usage);
 
-Tabs:
-• /tabs
-• /tab new
-• /tab <n>
-• /tab close
-• /close`
-  );
+  settings[kind] = accept ? "accept" : state === "on";
+  saveChatDoc("blocking", chatId);
+  const note = kind === "ads" && settings.ads && !filters.rules ? " (no filter lists loaded, add some to filters/)" : "";
+  await ctx.reply(`🛡️ ${kind}: ${state}${note}. Tap 🔄 to reload the page with it.`);
 });
 
-bot.command("media", async (ctx) => {
+bot.command("proxy", async (ctx) => {
   const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text).trim();
   const sess = await getSession(chatId);
+  const current = effectiveProxy(sess);
 
-  if (!sess.media.length) {
-    return ctx.reply("No media detected on this page.");
+  if (!arg) {
+    return ctx.reply(
+      `🧭 Proxy: ${current ? redactProxy(current) : "none (direct)"}${sess.proxy || !current ? "" : " (default)"}\n` +
+      "Usage: /proxy <http|https|socks5://[user:pass@]host:port> | /proxy off | /proxy test"
+    );
   }
 
-  const lines = sess.media.map((item, i) => {
-    const safeUrl = item.url.length > 100 ? `${item.url.slice(0, 97)}...` : item.url;
-    return `${i + 1}) ${item.label} (${item.type})\n${safeUrl}`;
-  });
+  if (arg.toLowerCase() === "test") {
+    const egress = async (get) => {
+      try {
+        return (await get()).ip || "?";
+      } catch (e) {
+        return `❌ ${e.message?.split("\n")[0] || "failed"}`;
+      }
+    };
+    const browserIp = await egress(async () => {
+      const response = await sess.context.request.get(PROXY_TEST_URL, { timeout: NAV_TIMEOUT_MS });
+      return response.json();
+    });
+    const fetchIp = await egress(async () => {
+      const response = await guardedFetch(PROXY_TEST_URL, { proxy: current, signal: AbortSignal.timeout(NAV_TIMEOUT_MS) });
+      return response.json();
+    });
+    return ctx.reply(
+      `🧭 ${current ? redactProxy(current) : "No proxy"}\n` +
+      `Browser egress IP: ${browserIp}\nDownloads egress IP: ${fetchIp}`
+    );
+  }
 
-  await ctx.reply(
-    `🎬 Media found:\n\n${lines.join("\n\n")}\n\nUse /video <n> to play or /download <n> to download.`
-  );
+  let proxy = null;
+  if (arg.toLowerCase() !== "off") {
+    // Credentials shouldn't sit in the chat history
+    if (/\/\/[^/]*@/.test(arg)) await ctx.deleteMessage().catch(() => {});
+    try {
+      proxy = await assertUsableProxy(arg);
+    } catch (e) {
+      return ctx.reply(`❌ ${e.message}`);
+    }
+  }
+
+  await applyEmulation(ctx, chatId, sess, { proxy },
+    `✅ proxy: ${proxy ? redactProxy(proxy) : PROXY_URL ? `default (${redactProxy(PROXY_URL)})` : "off"}`);
 });
 
-bot.command("go", async (ctx) => {
+bot.command("type", async (ctx) => {
   const chatId = ctx.chat.id;
-  const raw = argText(ctx.message.text);
-  if (!raw) return ctx.reply("Usage: /go <url or search>");
+  const text = argText(ctx.message.text);
+  if (!text) return ctx.reply("Usage: /type <text>");
+
+  const sess = await getSession(chatId);
+  const page = getActivePage(sess);
 
   try {
-    const isUrl = looksLikeUrl(raw);
-    const targetUrl = isUrl ? await validateUrl(raw) : buildSearchUrl(raw);
-    const sess = await getSession(chatId);
-    const page = getActivePage(sess);
+    const secret = await safeRun(() => typeIntoPage(page, text));
+    // Like /fill: secrets leave the chat, and macros ask for them when replayed
+    if (secret) await ctx.deleteMessage().catch(() => {});
+    recordStep(sess, secret ? { type: "type", secret: true } : { type: "type", text });
 
-    await safeRun(async () => {
-      await page.goto(targetUrl, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
-      await page.waitForTimeout(600);
-      await applyZoomToPage(page, sess.zoom);
-    });
+    await render(ctx, chatId, `⌨️ typed: ${secret ? "••••" : text}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Type failed."}`);
+  }
+});
 
-    await render(ctx, chatId, isUrl ? "" : `🔎 search: ${raw}`);
+// Reader mode
+bot.command("read", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const sess = await getSession(chatId);
+
+  try {
+    const article = await safeRun(() => extractArticle(getActivePage(sess)));
+    if (!article.blocks.length) return ctx.reply("❌ Couldn't find readable text on this page. Try /text.");
+
+    sess.reader = paginateArticle(article);
+    await ctx.reply(sess.reader[0], {
+      parse_mode: "HTML",
+      link_preview_options: { is_disabled: true },
+      ...readerKeyboard(0, sess.reader.length)
+    });
   } catch (e) {
-    await ctx.reply(`❌ ${e.message || "Failed to open."}`);
+    await ctx.reply(`❌ ${e.message || "Reader failed."}`);
   }
 });
 
-bot.command("url", async (ctx) => {
+bot.command("text", async (ctx) => {
   const chatId = ctx.chat.id;
   const sess = await getSession(chatId);
-  const page = getActivePage(sess);
-  const url = page.url() || "";
-  if (!url) return ctx.reply("No URL available.");
-  await ctx.reply(`🔗 ${url}`);
+
+  try {
+    const text = await safeRun(() => visibleText(getActivePage(sess)));
+    if (!text) return ctx.reply("No visible text on screen.");
+
+    const parts = splitText(text);
+    for (const part of parts.slice(0, MAX_TEXT_MESSAGES)) await ctx.reply(part);
+    if (parts.length > MAX_TEXT_MESSAGES) await ctx.reply(`… ${parts.length - MAX_TEXT_MESSAGES} more message(s) cut. Try /read.`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Couldn't read text."}`);
+  }
 });
 
-bot.command("click", async (ctx) => {
+// Find in page
+bot.command("find", async (ctx) => {
   const chatId = ctx.chat.id;
-  const n = Number(argText(ctx.message.text));
-  if (!Number.isFinite(n) || n < 1) return ctx.reply("Usage: /click <number>");
+  const query = argText(ctx.message.text);
+  if (!query) return ctx.reply("Usage: /find <text>");
 
   const sess = await getSession(chatId);
-  const link = sess.links[n - 1];
-  if (!link) return ctx.reply(`No link #${n}.`);
+  const page = getActivePage(sess);
 
   try {
-    const url = await validateUrl(link.href);
-    const page = getActivePage(sess);
+    const count = await safeRun(() => findInPage(page, query.slice(0, 200)));
+    if (!count) {
+      sess.find = null;
+      await clearFind(page);
+      return ctx.reply(`🔎 No matches for "${query}".`);
+    }
+    sess.find = { query, index: 0, count };
+    await page.waitForTimeout(150);
+    await render(ctx, chatId, findCaption(sess.find));
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Find failed."}`);
+  }
+});
 
-    await safeRun(async () => {
-      await page.goto(url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
-      await page.waitForTimeout(450);
-      await applyZoomToPage(page, sess.zoom);
-    });
+// Hi-res shots of one element or a region, sent as files so Telegram keeps every pixel
+bot.command("shot", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const args = argText(ctx.message.text).split(/\s+/).filter(Boolean);
+  const scale = parseShotScale(args[args.length - 1]);
+  if (scale) args.pop();
+  const target = args.join(" ");
+  if (!target) return ctx.reply("Usage: /shot <css selector | hint number> [x1|x2|x3]");
 
-    await render(ctx, chatId);
+  const sess = await getSession(chatId);
+  const page = getActivePage(sess);
+
+  try {
+    await ctx.replyWithChatAction("upload_document").catch(() => {});
+    const png = await safeRun(() => shootElement(sess, target, scale || 2));
+    assertDocumentSize(png.length);
+    const title = await page.title().catch(() => "");
+    await ctx.replyWithDocument({ source: png, filename: fileNameFromTitle(`${title} element`, "png") }, { caption: `📷 ${target}` });
   } catch (e) {
-    await ctx.reply(`❌ ${e.message || "Click failed."}`);
+    await ctx.reply(`❌ ${e.message || "Shot failed."}`);
   }
 });
 
-// Tap anywhere (coords)
-bot.command("tap", async (ctx) => {
+bot.command("crop", async (ctx) => {
   const chatId = ctx.chat.id;
   const parts = argText(ctx.message.text).split(/\s+/).filter(Boolean);
-  if (parts.length < 2) return ctx.reply("Usage: /tap <x> <y>   e.g. /tap 640 360");
-
-  const x = Number(parts[0]);
-  const y = Number(parts[1]);
+  const [x, y, w, h] = parts.slice(0, 4).map(Number);
+  const scale = parts[4] ? parseShotScale(parts[4]) : 2;
 
   const sess = await getSession(chatId);
   const vp = sess.viewport;
+  if (parts.length < 4 || ![x, y, w, h].every(Number.isFinite) || !scale) {
+    return ctx.reply(`Usage: /crop <x> <y> <w> <h> [x1|x2|x3]   viewport is ${vp.width}×${vp.height}`);
+  }
+  if (x < 0 || y < 0 || w < 1 || h < 1 || x + w > vp.width || y + h > vp.height) {
+    return ctx.reply(`❌ Region must fit inside the viewport (${vp.width}×${vp.height}).`);
+  }
 
-  if (!Number.isFinite(x) || !Number.isFinite(y)) return ctx.reply("❌ x and y must be numbers.");
-  if (x < 0 || y < 0 || x >= vp.width || y >= vp.height) {
-    return ctx.reply(`❌ Out of bounds. x:0-${vp.width - 1}, y:0-${vp.height - 1}`);
+  const page = getActivePage(sess);
+  try {
+    await ctx.replyWithChatAction("upload_document").catch(() => {});
+    const clip = { x, y, width: w, height: h };
+    const png = await safeRun(() => captureRegion(page, clip, fitShotScale(clip, scale)));
+    assertDocumentSize(png.length);
+    const title = await page.title().catch(() => "");
+    await ctx.replyWithDocument({ source: png, filename: fileNameFromTitle(`${title} crop`, "png") }, { caption: `✂️ ${w}×${h} at (${x}, ${y}) ×${scale}` });
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Crop failed."}`);
+  }
+});
+
+// Save the page as a document
+bot.command("save", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const args = argText(ctx.message.text).split(/\s+/).filter(Boolean);
+  const kind = (args[0] || "").toLowerCase();
+  if (!["pdf", "html", "mhtml"].includes(kind)) {
+    return ctx.reply(`Usage: /save pdf [${PDF_FORMATS.join("|")}] [landscape] | /save html | /save mhtml`);
   }
 
+  const sess = await getSession(chatId);
   const page = getActivePage(sess);
 
   try {
-    await safeRun(async () => {
-      await page.mouse.move(x, y);
-      await page.mouse.click(x, y, { delay: 30 });
-      await page.waitForLoadState("domcontentloaded", { timeout: 4000 }).catch(() => {});
-      await page.waitForTimeout(350);
-      await applyZoomToPage(page, sess.zoom);
-    });
+    await ctx.replyWithChatAction("upload_document").catch(() => {});
+    const title = await page.title().catch(() => "");
+
+    let doc;
+    if (kind === "pdf") {
+      const format = PDF_FORMATS.find(f => args.some(a => a.toLowerCase() === f.toLowerCase())) || "A4";
+      const landscape = args.some(a => a.toLowerCase() === "landscape");
+      doc = await safeRun(() => savePdf(page, format, landscape));
+    } else if (kind === "mhtml") {
+      doc = await safeRun(() => saveMhtml(page));
+    } else {
+      // Fetching every stylesheet and image can take a while
+      const signal = actionSignal(TOTAL_TIMEOUT_MS * 4, "Saving the page took too long.");
+      doc = await pTimeout(saveSingleFileHtml(page, effectiveProxy(sess), signal), { milliseconds: Number.POSITIVE_INFINITY, signal });
+    }
 
-    await render(ctx, chatId, `🖱️ tapped: (${x}, ${y})`);
+    await ctx.replyWithDocument(
+      { source: doc, filename: fileNameFromTitle(title, kind) },
+      { caption: `💾 ${title || "Page"}\n🔗 ${page.url()}` }
+    );
   } catch (e) {
-    await ctx.reply(`❌ ${e.message || "Tap failed."}`);
+    await ctx.reply(`❌ ${e.message || "Save failed."}`);
   }
 });
 
-// Grid tap (buttons)
-bot.command("grid", async (ctx) => {
+// Any key or combo, Playwright syntax: Tab, Shift+Tab, Control+A, ArrowDown ...
+bot.command("key", async (ctx) => {
   const chatId = ctx.chat.id;
+  const [combo, times = "1"] = argText(ctx.message.text).split(/\s+/);
+  const count = Number(times.replace(/^x/i, ""));
+  if (!combo || !Number.isInteger(count) || count < 1 || count > MAX_KEY_REPEAT) {
+    return ctx.reply(`Usage: /key <combo> [count 1..${MAX_KEY_REPEAT}]   e.g. /key Shift+Tab, /key ArrowDown 3`);
+  }
+
   const sess = await getSession(chatId);
-  const vp = sess.viewport;
-  await ctx.reply(
-    `🧊 Grid Tap is ON\nViewport: ${vp.width}×${vp.height}\nTap a cell (A1..${String.fromCharCode(64 + GRID_COLS)}${GRID_ROWS}).`,
-    gridKeyboard()
-  );
+  try {
+    await pressKey(sess, combo, count);
+    await render(ctx, chatId, `⌨️ ${combo}${count > 1 ? ` ×${count}` : ""}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Key press failed."}`);
+  }
 });
 
-// Zoom commands
-bot.command("zoom", async (ctx) => {
+// Forms: inspect and fill field by field
+bot.command("forms", async (ctx) => {
   const chatId = ctx.chat.id;
-  const val = Number(argText(ctx.message.text));
-  if (!Number.isFinite(val) || val < 50 || val > 250) {
-    return ctx.reply("Usage: /zoom <50..250>  (example: /zoom 120)");
-  }
-
   const sess = await getSession(chatId);
-  sess.zoom = Math.round(val) / 100;
 
-  await applyZoomToAll(sess);
-  await render(ctx, chatId, `🔍 zoom set to ${Math.round(sess.zoom * 100)}%`);
+  try {
+    const found = await safeRun(() => inspectForms(getActivePage(sess)));
+    sess.forms = found.forms;
+    sess.fields = found.fields;
+    await ctx.reply(formatForms(found));
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Could not read forms."}`);
+  }
 });
 
-bot.command("zin", async (ctx) => {
+bot.command("fill", async (ctx) => {
   const chatId = ctx.chat.id;
+  const raw = argText(ctx.message.text);
+  const m = /^(\d+)\s+([\s\S]*)$/.exec(raw);
+  if (!m) return ctx.reply("Usage: /fill <field#> <value>   (see /forms)");
+
+  const n = Number(m[1]);
+  const value = m[2];
   const sess = await getSession(chatId);
-  sess.zoom = Math.min(2.5, Math.round((sess.zoom + 0.1) * 10) / 10);
-  await applyZoomToAll(sess);
-  await render(ctx, chatId, `🔍 zoom: ${Math.round(sess.zoom * 100)}%`);
+
+  // Don't leave a secret sitting in the chat. A field /forms hasn't listed
+  // can't be checked, so that message goes too.
+  const known = sess.fields.find(f => f.n === n);
+  const deleted = !known || known.secret;
+  if (deleted) await ctx.deleteMessage().catch(() => {});
+
+  try {
+    const { field, el } = await locateField(sess, n);
+    // /forms may not have seen it as one (the page changed the type since)
+    const secret = field.secret || await el.evaluate(isSecretField).catch(() => false);
+    if (secret && !deleted) await ctx.deleteMessage().catch(() => {});
+
+    if (["checkbox", "radio"].includes(field.type)) throw new Error(`Field #${n} is a ${field.type}; use /check ${n}.`);
+    if (field.type === "select") throw new Error(`Field #${n} is a select; use /select ${n} <option>.`);
+    if (field.type === "file") throw new Error(`Field #${n} is a file input; send the file as a document instead.`);
+
+    await safeRun(() => el.fill(value, { timeout: 5000 }));
+    const shown = secret ? "••••" : value.length > 40 ? `${value.slice(0, 40)}…` : value;
+    await render(ctx, chatId, `📝 #${n} "${field.label || field.type}" = ${shown}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Fill failed."}`);
+  }
 });
 
-bot.command("zout", async (ctx) => {
+bot.command("check", async (ctx) => {
   const chatId = ctx.chat.id;
+  const [num, state = "on"] = argText(ctx.message.text).toLowerCase().split(/\s+/);
+  const n = Number(num);
+  if (!Number.isInteger(n) || !["on", "off"].includes(state)) return ctx.reply("Usage: /check <field#> [off]");
+
   const sess = await getSession(chatId);
-  sess.zoom = Math.max(0.5, Math.round((sess.zoom - 0.1) * 10) / 10);
-  await applyZoomToAll(sess);
-  await render(ctx, chatId, `🔍 zoom: ${Math.round(sess.zoom * 100)}%`);
+  try {
+    const { field, el } = await locateField(sess, n);
+    if (!["checkbox", "radio"].includes(field.type)) throw new Error(`Field #${n} is not a checkbox or radio.`);
+
+    await safeRun(async () => {
+      if (state === "on") await el.check({ timeout: 5000 });
+      else await el.uncheck({ timeout: 5000 });
+    });
+    await render(ctx, chatId, `📝 #${n} "${field.label || field.type}" ${state === "on" ? "☑" : "☐"}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Check failed."}`);
+  }
 });
 
-// Mobile toggle
-bot.command("mobile", async (ctx) => {
+bot.command("select", async (ctx) => {
   const chatId = ctx.chat.id;
-  const arg = argText(ctx.message.text).trim().toLowerCase();
-  if (!["on", "off"].includes(arg)) return ctx.reply("Usage: /mobile on | /mobile off");
+  const m = /^(\d+)\s+(.+)$/.exec(argText(ctx.message.text));
+  if (!m) return ctx.reply("Usage: /select <field#> <option text | value | #index>");
 
+  const n = Number(m[1]);
+  const option = m[2].trim();
   const sess = await getSession(chatId);
-  const target = arg === "on";
 
-  if (sess.mobile === target) {
-    return ctx.reply(`Already in ${target ? "mobile" : "desktop"} mode.`);
-  }
+  try {
+    const { field, el } = await locateField(sess, n);
+    if (field.type !== "select") throw new Error(`Field #${n} is not a select.`);
 
-  await ctx.reply(`Switching to ${target ? "📱 mobile" : "🖥️ desktop"} mode...`);
+    const attempts = [{ label: option }, { value: option }];
+    if (/^#\d+$/.test(option)) attempts.unshift({ index: Number(option.slice(1)) - 1 });
 
-  await safeRun(async () => {
-    await recreateSessionContext(chatId, sess, target);
-  });
+    let picked = null;
+    for (const attempt of attempts) {
+      picked = await el.selectOption(attempt, { timeout: 3000 }).catch(() => null);
+      if (picked?.length) break;
+    }
+    if (!picked?.length) throw new Error(`No option "${option}" in field #${n}.`);
 
-  await render(ctx, chatId, `✅ mode: ${target ? "📱 Mobile" : "🖥️ Desktop"}`);
+    await settleAfterInput(sess);
+    await render(ctx, chatId, `📝 #${n} "${field.label || "select"}" = ${option}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Select failed."}`);
+  }
 });
 
-bot.command("type", async (ctx) => {
+bot.command("submit", async (ctx) => {
   const chatId = ctx.chat.id;
-  const text = argText(ctx.message.text);
-  if (!text) return ctx.reply("Usage: /type <text>");
+  const n = Number(argText(ctx.message.text));
+  if (!Number.isInteger(n) || n < 1) return ctx.reply("Usage: /submit <form#>   (see /forms)");
 
   const sess = await getSession(chatId);
-  const page = getActivePage(sess);
+  const form = sess.forms.find(f => f.n === n);
+  if (!form) return ctx.reply(`No form #${n}. Send /forms to list them.`);
 
   try {
+    const el = form.frame.locator(`[data-tgb-form="${n}"]`).first();
+    if (form.frame.isDetached() || !(await el.count())) throw new Error(`Form #${n} is gone (page changed). Send /forms to refresh.`);
+
     await safeRun(async () => {
-      const selectors = [
-        'input[type="search"]',
-        'input[name="q"]',
-        'input[aria-label*="search" i]',
-        'input[placeholder*="search" i]',
-        "input",
-        "textarea"
-      ];
-
-      let found = false;
-      for (const sel of selectors) {
-        const el = await page.$(sel);
-        if (el) {
-          await el.click({ timeout: 2000 }).catch(() => {});
-          await el.fill("").catch(() => {});
-          await el.type(text, { delay: 12 }).catch(() => {});
-          found = true;
-          break;
-        }
+      // A real click keeps the site's own submit handlers in the loop
+      const button = el.locator('button[type=submit], input[type=submit], input[type=image], button:not([type])').first();
+      if (await button.count()) {
+        await button.click({ timeout: 5000 });
+      } else {
+        await el.evaluate(f => (f.requestSubmit ? f.requestSubmit() : f.submit()));
       }
-      if (!found) throw new Error("No input box found on this page.");
+      await settleAfterInput(sess);
     });
-
-    await render(ctx, chatId, `⌨️ typed: ${text}`);
+    sess.forms = [];
+    sess.fields = [];
+    await render(ctx, chatId, `📝 submitted form #${n}`);
   } catch (e) {
-    await ctx.reply(`❌ ${e.message || "Type failed."}`);
+    await ctx.reply(`❌ ${e.message || "Submit failed."}`);
   }
 });
 
@@ -683,6 +4961,7 @@ bot.command("enter", async (ctx) => {
       await page.waitForTimeout(600);
       await applyZoomToPage(page, sess.zoom);
     });
+    recordStep(sess, { type: "enter" });
 
     await render(ctx, chatId, "⏎ submitted");
   } catch (e) {
@@ -703,38 +4982,184 @@ bot.command("video", async (ctx) => {
     return ctx.reply("❌ This media source can't be downloaded (non-http URL). Try opening it in the page.");
   }
 
+  let filePath = null;
   try {
-    const filePath = await downloadMedia(item.url, item.type);
+    filePath = await downloadMedia(item.url, item.type, effectiveProxy(sess));
+    const ext = path.extname(filePath);
     if (item.type === "audio") {
       await ctx.replyWithAudio({ source: filePath }, { caption: item.label });
-    } else {
+    } else if (item.type === "image" && (await fs.stat(filePath)).size > MAX_PHOTO_BYTES) {
+      await ctx.replyWithDocument({ source: filePath }, { caption: item.label });
+    } else if (item.type === "image") {
+      await ctx.replyWithPhoto({ source: filePath }, { caption: item.label });
+    } else if (ext === ".mp4") {
       await ctx.replyWithVideo({ source: filePath }, { caption: item.label });
+    } else {
+      // .ts / .webm etc. don't play inline, still worth having
+      await ctx.replyWithDocument({ source: filePath }, { caption: item.label });
     }
-    await fs.unlink(filePath).catch(() => {});
   } catch (e) {
-    await ctx.reply(`❌ ${e.message || "Failed to send media."}`);
+    await ctx.reply(`❌ ${e.message || "Failed to send media."}`);
+  } finally {
+    if (filePath) await fs.unlink(filePath).catch(() => {});
+  }
+});
+
+bot.command("download", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const n = Number(argText(ctx.message.text));
+  if (!Number.isFinite(n) || n < 1) return ctx.reply("Usage: /download <number>");
+
+  const sess = await getSession(chatId);
+  const item = sess.media[n - 1];
+  if (!item) return ctx.reply(`No media #${n}. Use /media to list.`);
+
+  if (!item.url.startsWith("http")) {
+    return ctx.reply("❌ This media source can't be downloaded (non-http URL). Try opening it in the page.");
+  }
+
+  let filePath = null;
+  try {
+    filePath = await downloadMedia(item.url, item.type, effectiveProxy(sess));
+    await ctx.replyWithDocument({ source: filePath }, { caption: item.label });
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Failed to download media."}`);
+  } finally {
+    if (filePath) await fs.unlink(filePath).catch(() => {});
+  }
+});
+
+// Page watches
+bot.command("watch", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const usage = "Usage: /watch <url> [css selector] every <interval>\ne.g. /watch example.com/item .price every 30m";
+  const m = /^(\S+)(?:\s+(.+?))?\s+every\s+(\S+(?:\s*\S+)?)$/i.exec(argText(ctx.message.text));
+  if (!m) return ctx.reply(usage);
+
+  const everyMs = parseInterval(m[3]);
+  if (!everyMs) return ctx.reply(`❌ Interval like 15m, 2h or 1d.\n${usage}`);
+  if (everyMs < WATCH_MIN_INTERVAL_MS || everyMs > WATCH_MAX_INTERVAL_MS) {
+    return ctx.reply(`❌ Interval must be between ${formatInterval(WATCH_MIN_INTERVAL_MS)} and ${formatInterval(WATCH_MAX_INTERVAL_MS)}.`);
+  }
+
+  let url;
+  try {
+    url = await validateUrl(m[1]);
+  } catch (e) {
+    return ctx.reply(`❌ ${e.message}`);
+  }
+
+  const doc = await getWatches(chatId);
+  if (doc.items.length >= MAX_WATCHES_PER_CHAT) {
+    return ctx.reply(`❌ Watch limit reached (${MAX_WATCHES_PER_CHAT}). Remove some with /unwatch.`);
+  }
+
+  const watch = { id: doc.nextId++, url, selector: m[2]?.trim() || null, everyMs, lastText: null, lastHash: null, lastCheck: 0, lastChange: 0, failures: 0 };
+  await ctx.reply(`👁️ Checking ${watchLabel(watch)}...`);
+
+  // The first look is the baseline, and proves the selector matches
+  let result;
+  try {
+    result = await checkWatch(chatId, watch);
+    if (!result) throw new Error(`All ${MAX_SESSIONS} browsers are busy. Try again in a few minutes.`);
+  } catch (e) {
+    return ctx.reply(`❌ ${e.message?.split("\n")[0] || "Could not load the page."}`);
   }
+  Object.assign(watch, { lastText: result.text, lastHash: result.hash, lastCheck: Date.now() });
+  doc.items.push(watch);
+  saveChatDoc("watches", chatId);
+
+  await ctx.replyWithPhoto({ source: result.shot }, {
+    caption: `👁️ Watching every ${formatInterval(everyMs)}: ${watchLabel(watch)}\n` +
+      (result.text !== null ? `Now: ${result.text.slice(0, 500)}` : "Comparing screenshots.") +
+      "\n\n/watches to list, /unwatch <n> to stop."
+  });
 });
 
-bot.command("download", async (ctx) => {
+bot.command("watches", async (ctx) => {
+  const { items } = await getWatches(ctx.chat.id);
+  if (!items.length) return ctx.reply("No watches. Add one with /watch <url> [selector] every <interval>.");
+
+  const lines = items.map((w, i) =>
+    `${i + 1}) ${w.url}${w.selector ? `\n   ${w.selector}` : ""}\n` +
+    `   every ${formatInterval(w.everyMs)}, checked ${formatAgo(w.lastCheck)}, changed ${formatAgo(w.lastChange)}` +
+    (w.failures ? `, ⚠️ ${w.failures} failure${w.failures === 1 ? "" : "s"}` : "")
+  );
+  await ctx.reply(`👁️ Watches:\n\n${lines.join("\n")}`);
+});
+
+bot.command("unwatch", async (ctx) => {
   const chatId = ctx.chat.id;
   const n = Number(argText(ctx.message.text));
-  if (!Number.isFinite(n) || n < 1) return ctx.reply("Usage: /download <number>");
+  const doc = await getWatches(chatId);
+  if (!Number.isInteger(n) || n < 1 || n > doc.items.length) {
+    return ctx.reply(doc.items.length ? `Usage: /unwatch <1..${doc.items.length}>` : "No watches.");
+  }
+
+  const [removed] = doc.items.splice(n - 1, 1);
+  saveChatDoc("watches", chatId);
+  await ctx.reply(`🗑️ Stopped watching ${watchLabel(removed)}`);
+});
 
+// Macros
+bot.command("macro", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const [sub = "", name = ""] = argText(ctx.message.text).split(/\s+/);
+  const usage =
+    "Usage: /macro record <name> | stop | run <name> | list | delete <name> | export <name>\n" +
+    `Import: send a ${MACRO_FILE_SUFFIX} file (or any .json with the caption /macro import [name]).`;
   const sess = await getSession(chatId);
-  const item = sess.media[n - 1];
-  if (!item) return ctx.reply(`No media #${n}. Use /media to list.`);
+  const doc = await getMacros(chatId);
+  const needsName = ["record", "run", "delete", "export"].includes(sub.toLowerCase());
+
+  if (needsName && !PROFILE_NAME_RE.test(name)) return ctx.reply(`❌ Macro name: 1-32 letters, digits, _ or -.\n${usage}`);
+  const macro = doc.items.find(m => m.name === name);
+  if (["run", "delete", "export"].includes(sub.toLowerCase()) && !macro) return ctx.reply(`❌ No macro "${name}". /macro list`);
+
+  switch (sub.toLowerCase()) {
+    case "record":
+      if (sess.recording) return ctx.reply(`Already recording "${sess.recording.name}". /macro stop first.`);
+      sess.recording = { name, steps: [] };
+      return render(ctx, chatId,
+        `⏺️ Recording "${name}": /go, taps, grid cells, /type, /enter, scrolls and links are captured. /macro stop to save.`);
+
+    case "stop": {
+      const rec = sess.recording;
+      if (!rec) return ctx.reply("Not recording. /macro record <name> to start.");
+      sess.recording = null;
+      if (!rec.steps.length) return ctx.reply("⏹️ Nothing was recorded; macro not saved.");
+      try {
+        await saveMacro(chatId, rec.name, rec.steps);
+      } catch (e) {
+        return ctx.reply(`❌ ${e.message}`);
+      }
+      return ctx.reply(`⏹️ Saved "${rec.name}" (${rec.steps.length} steps):\n` +
+        rec.steps.map((st, i) => `${i + 1}) ${describeStep(st)}`).join("\n").slice(0, 3500) +
+        `\n\n/macro run ${rec.name}`);
+    }
 
-  if (!item.url.startsWith("http")) {
-    return ctx.reply("❌ This media source can't be downloaded (non-http URL). Try opening it in the page.");
-  }
+    case "run":
+      if (sess.recording) return ctx.reply("Stop recording first (/macro stop).");
+      await ctx.reply(`▶️ Running "${name}" (${macro.steps.length} steps)...`);
+      await runMacro(ctx, chatId, sess, macro);
+      return;
 
-  try {
-    const filePath = await downloadMedia(item.url, item.type);
-    await ctx.replyWithDocument({ source: filePath }, { caption: item.label });
-    await fs.unlink(filePath).catch(() => {});
-  } catch (e) {
-    await ctx.reply(`❌ ${e.message || "Failed to download media."}`);
+    case "list":
+      if (!doc.items.length) return ctx.reply("No macros yet. /macro record <name> to make one.");
+      return ctx.reply(`📼 Macros:\n\n${doc.items.map((m, i) => `${i + 1}) ${m.name}: ${m.steps.length} steps`).join("\n")}`);
+
+    case "delete":
+      doc.items.splice(doc.items.indexOf(macro), 1);
+      saveChatDoc("macros", chatId);
+      return ctx.reply(`🗑️ Deleted macro "${name}".`);
+
+    case "export": {
+      const json = JSON.stringify({ name: macro.name, steps: macro.steps }, null, 2);
+      return ctx.replyWithDocument({ source: Buffer.from(json), filename: `${macro.name}${MACRO_FILE_SUFFIX}` });
+    }
+
+    default:
+      return ctx.reply(usage);
   }
 });
 
@@ -753,8 +5178,11 @@ bot.command("tab", async (ctx) => {
   if (!a) return ctx.reply("Usage: /tab new | /tab <n> | /tab close");
 
   if (a === "new") {
+    if (sess.pages.length >= MAX_TABS_PER_SESSION) {
+      return ctx.reply(`❌ Tab limit reached (${MAX_TABS_PER_SESSION}). Close one with /tab close.`);
+    }
     const page = await sess.context.newPage();
-    await page.goto("https://duckduckgo.com", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
+    await page.goto(HOME_URL, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
     sess.pages.push(page);
     sess.active = sess.pages.length - 1;
     await applyZoomToPage(page, sess.zoom);
@@ -764,10 +5192,10 @@ bot.command("tab", async (ctx) => {
 
   if (a === "close") {
     if (sess.pages.length === 1) return ctx.reply("❌ Can't close the last tab. Use /close to end session.");
-    const closing = sess.pages[sess.active];
-    try { await closing.close(); } catch {}
-    sess.pages.splice(sess.active, 1);
+    // Out of the list first, so the page's close event has nothing left to do
+    const [closing] = sess.pages.splice(sess.active, 1);
     sess.active = Math.max(0, sess.active - 1);
+    try { await closing.close(); } catch {}
     await render(ctx, chatId, "🧹 closed tab");
     return;
   }
@@ -780,16 +5208,322 @@ bot.command("tab", async (ctx) => {
   await render(ctx, chatId, `🧩 switched to tab ${n}`);
 });
 
+// The queue middleware has already aborted and dropped everything
+bot.command("stop", async (ctx) => {
+  await ctx.reply(ctx.state.stopped ? "⏹ Stopped." : "Nothing to stop.");
+});
+
 bot.command("close", async (ctx) => {
   const chatId = ctx.chat.id;
-  const sess = sessions.get(chatId);
-  if (!sess) return ctx.reply("No active session.");
+  const waiting = waitQueue.indexOf(chatId);
+  if (waiting !== -1) waitQueue.splice(waiting, 1);
 
-  try { await sess.context.close(); } catch {}
-  sessions.delete(chatId);
+  if (!(await closeSession(chatId))) return ctx.reply("No active session.");
   await ctx.reply("✅ Closed your browser session.");
 });
 
+bot.command("profile", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const [sub = "", name = ""] = argText(ctx.message.text).split(/\s+/);
+  const action = sub.toLowerCase();
+  const usage = "Usage: /profile save <name> | /profile load <name> | /profile list | /profile delete <name>";
+
+  if (action === "list") {
+    const names = await listProfiles(chatId);
+    if (!names.length) return ctx.reply("No saved profiles. Use /profile save <name>.");
+
+    const last = await readLastProfileName(chatId);
+    const lines = await Promise.all(names.map(async (n) => {
+      const prof = await readProfile(chatId, n);
+      const tabs = prof?.tabs?.length || 0;
+      const when = prof?.savedAt ? prof.savedAt.slice(0, 16).replace("T", " ") : "?";
+      return `${n === last ? "✅" : "  "} ${n}  (${tabs} tab${tabs === 1 ? "" : "s"}, saved ${when})`;
+    }));
+    return ctx.reply(`💾 Profiles:\n\n${lines.join("\n")}`);
+  }
+
+  if (!["save", "load", "delete"].includes(action)) return ctx.reply(usage);
+  if (!PROFILE_NAME_RE.test(name)) return ctx.reply("❌ Profile name: 1-32 letters, digits, _ or -.");
+
+  try {
+    if (action === "save") {
+      const sess = await getSession(chatId);
+      const prof = await safeRun(() => saveProfile(chatId, sess, name));
+      await clearAutosave(chatId);
+      return ctx.reply(`💾 Saved profile "${name}" (${prof.tabs.length} tabs, ${prof.storageState.cookies.length} cookies).`);
+    }
+
+    if (action === "load") {
+      const prof = await readProfile(chatId, name);
+      if (!prof) return ctx.reply(`❌ No profile "${name}". See /profile list.`);
+
+      const sess = await getSession(chatId);
+      await safeRun(() => restoreProfile(chatId, sess, prof));
+      await applyZoomToAll(sess);
+      sess.profile = name;
+      await setLastProfileName(chatId, name);
+      await clearAutosave(chatId);
+      return render(ctx, chatId, `💾 loaded profile "${name}"`);
+    }
+
+    // delete
+    const file = path.join(profileDir(chatId), `${name}.json`);
+    try {
+      await fs.unlink(file);
+    } catch {
+      return ctx.reply(`❌ No profile "${name}".`);
+    }
+    if ((await readLastProfileName(chatId)) === name) {
+      await setLastProfileName(chatId, null);
+      await clearAutosave(chatId);
+    }
+    const sess = sessions.get(chatId);
+    if (sess?.profile === name) sess.profile = null;
+    await ctx.reply(`🗑️ Deleted profile "${name}".`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Profile action failed."}`);
+  }
+});
+
+bot.command("history", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const query = argText(ctx.message.text);
+
+  if (query.toLowerCase() === "clear") {
+    const hist = await getHistory(chatId);
+    hist.entries = [];
+    saveChatDoc("history", chatId);
+    return ctx.reply("🧹 History cleared.");
+  }
+
+  historyQueries.set(chatId, query);
+  const { text, keyboard } = await historyListing(chatId, 0);
+  await ctx.reply(text, keyboard || {});
+});
+
+bot.command("bookmark", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const name = argText(ctx.message.text).slice(0, 60);
+  const sess = await getSession(chatId);
+  const page = getActivePage(sess);
+  const url = page.url();
+  if (!/^https?:/.test(url)) return ctx.reply("❌ Nothing to bookmark on this tab.");
+
+  try {
+    const title = await page.title().catch(() => "");
+    const item = await addBookmark(chatId, url, name || title);
+    await ctx.reply(`⭐ Bookmarked: ${item.name}\n${item.url}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Bookmark failed."}`);
+  }
+});
+
+bot.command("bookmarks", async (ctx) => {
+  const { text, keyboard } = await bookmarksListing(ctx.chat.id);
+  await ctx.reply(text, keyboard || {});
+});
+
+bot.command("unbookmark", async (ctx) => {
+  const chatId = ctx.chat.id;
+  const arg = argText(ctx.message.text);
+  const { items } = await getBookmarks(chatId);
+
+  let target;
+  if (!arg) {
+    const sess = await getSession(chatId);
+    const url = getActivePage(sess).url();
+    target = items.find(b => b.url === url);
+  } else if (/^\d+$/.test(arg)) {
+    target = items[Number(arg) - 1];
+  } else {
+    target = items.find(b => b.name.toLowerCase() === arg.toLowerCase());
+  }
+  if (!target) return ctx.reply("Usage: /unbookmark [n | name]  (no argument: the current page)");
+
+  await removeBookmark(chatId, b => b.id === target.id);
+  await ctx.reply(`🗑️ Removed bookmark: ${target.name}`);
+});
+
+bot.command("admin", async (ctx) => {
+  if (!isAdmin(ctx.from.id)) return ctx.reply("❌ Admins only.");
+
+  const [sub = "", arg = ""] = argText(ctx.message.text).split(/\s+/);
+  const action = sub.toLowerCase();
+
+  if (action === "users") {
+    const fmt = (set) => (set.size ? [...set].join(", ") : "-");
+    return ctx.reply(
+      `👥 Access${isOpenAccess() ? " (open: no allowlist set)" : ""}\n\n` +
+      `Admins (env): ${fmt(ADMIN_IDS)}\n` +
+      `Allowed (env): ${fmt(ENV_ALLOWED_IDS)}\n` +
+      `Allowed: ${fmt(access.allow)}\n` +
+      `Denied: ${fmt(access.deny)}`
+    );
+  }
+
+  if (action === "sessions") {
+    if (!sessions.size) return ctx.reply("No active sessions.");
+    const now = Date.now();
+    const lines = [...sessions].map(([id, sess]) => {
+      const idleMin = Math.floor((now - sess.lastUsed) / 60000);
+      const url = getActivePage(sess)?.url() || "";
+      return `• ${id}  ${sess.pages.length} tab(s), idle ${idleMin}m${sess.profile ? `, profile ${sess.profile}` : ""}\n   ${url}`;
+    });
+    return ctx.reply(`🖥️ Sessions ${sessions.size}/${MAX_SESSIONS}${waitQueue.length ? `, ${waitQueue.length} queued` : ""}\n\n${lines.join("\n")}`);
+  }
+
+  const id = Number(arg);
+  if (!["kill", "allow", "deny"].includes(action) || !/^-?\d+$/.test(arg)) {
+    return ctx.reply("Usage: /admin users | /admin sessions | /admin kill <chat> | /admin allow <id> | /admin deny <id>");
+  }
+
+  if (action === "kill") {
+    const closed = await closeSession(id, "⛔ Your browser session was closed by an admin.");
+    return ctx.reply(closed ? `✅ Closed session of ${id}.` : `No session for ${id}.`);
+  }
+
+  if (action === "allow") {
+    access.deny.delete(id);
+    access.allow.add(id);
+  } else {
+    if (isAdmin(id)) return ctx.reply("❌ Admins can't be denied.");
+    access.allow.delete(id);
+    access.deny.add(id);
+    await closeSession(id, "⛔ Your access to this bot was revoked.");
+    await dropWatches(id);
+  }
+  await saveAccessList();
+  await ctx.reply(`✅ ${id} ${action === "allow" ? "allowed" : "denied"}.`);
+});
+
+// Password for a macro step: a reply to askSecret()'s message
+bot.on("text", async (ctx, next) => {
+  const sess = sessions.get(ctx.chat.id);
+  const replyTo = ctx.message.reply_to_message?.message_id;
+  if (!sess?.secretPrompt || !replyTo || sess.secretPrompt.msgId !== replyTo) return next();
+
+  await ctx.deleteMessage().catch(() => {});
+  sess.secretPrompt.resolve(ctx.message.text);
+});
+
+// Answer to a JS prompt(): a reply to the dialog message
+bot.on("text", async (ctx, next) => {
+  const chatId = ctx.chat.id;
+  const sess = sessions.get(chatId);
+  const replyTo = ctx.message.reply_to_message?.message_id;
+  if (!sess?.dialog || !replyTo || sess.dialog.msgId !== replyTo) return next();
+
+  const accept = sess.dialog.type === "prompt" || ctx.message.text.trim().toLowerCase() === "ok";
+  await settleDialog(chatId, accept, ctx.message.text, accept ? `✏️ ${ctx.message.text.slice(0, 200)}` : "❌ Cancelled");
+  if (!isChatBusy(chatId)) await render(ctx, chatId);
+});
+
+// A macro file from /macro export (or any .json captioned /macro import)
+bot.on("document", async (ctx, next) => {
+  const doc = ctx.message.document;
+  const caption = /^\/macro(@\w+)?\s+import\b\s*(\S*)/i.exec(ctx.message.caption || "");
+  const fileName = doc.file_name || "";
+  if (!caption && !fileName.endsWith(MACRO_FILE_SUFFIX)) return next();
+
+  const chatId = ctx.chat.id;
+  try {
+    if (doc.file_size > 256 * 1024) throw new Error("Macro file too large.");
+    const response = await fetch(await ctx.telegram.getFileLink(doc.file_id));
+    if (!response.ok) throw new Error(`Could not fetch the file from Telegram: ${response.status}`);
+
+    let data;
+    try {
+      data = JSON.parse(await response.text());
+    } catch {
+      throw new Error("Not a JSON file.");
+    }
+    const name = caption?.[2] || (typeof data.name === "string" ? data.name : "") || fileName.replace(/\.macro\.json$|\.json$/, "");
+    if (!PROFILE_NAME_RE.test(name)) throw new Error("Macro name: 1-32 letters, digits, _ or -. Add one: /macro import <name>");
+
+    const macro = await saveMacro(chatId, name, sanitizeSteps(data.steps));
+    await ctx.reply(`📥 Imported macro "${macro.name}" (${macro.steps.length} steps). /macro run ${macro.name}`);
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Import failed."}`);
+  }
+});
+
+// A document or photo from the user: attach it to a file input
+bot.on(["document", "photo"], async (ctx) => {
+  const chatId = ctx.chat.id;
+  const sess = await getSession(chatId);
+  const msg = ctx.message;
+
+  const file = msg.document
+    ? { file_id: msg.document.file_id, file_size: msg.document.file_size,
+        name: msg.document.file_name || "file", mime: msg.document.mime_type || "application/octet-stream" }
+    : { ...msg.photo[msg.photo.length - 1], name: `photo_${msg.message_id}.jpg`, mime: "image/jpeg" };
+
+  try {
+    const upload = await receiveUpload(chatId, sess, file);
+
+    // A picker the page already opened takes it straight away
+    const chooser = sess.chooser;
+    sess.chooser = null;
+    if (chooser && !chooser.page().isClosed()) {
+      const attached = await attachUpload(sess, chooser).catch(() => null);
+      if (attached) {
+        await settleAfterInput(sess);
+        return render(ctx, chatId, `📎 attached ${attached}`);
+      }
+    }
+
+    const inputs = await findFileInputs(getActivePage(sess));
+    sess.fileInputs = inputs;
+    if (!inputs.length) {
+      return ctx.reply(
+        `📎 Got ${upload.name}, but this page has no file inputs.\n` +
+        "Tap the page's upload button and it will be attached when the picker opens."
+      );
+    }
+
+    const rows = inputs.map(f => [Markup.button.callback(
+      `📎 ${f.n}) ${f.label || "file input"}${f.accept ? ` [${f.accept}]` : ""}`.slice(0, 60),
+      `up:${f.n}`
+    )]);
+    rows.push([Markup.button.callback("✖ Cancel", "up:cancel")]);
+    await ctx.reply(`📎 Got ${upload.name}. Attach it to:`, Markup.inlineKeyboard(rows));
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message || "Upload failed."}`);
+  }
+});
+
+// ----------------- Inline Queries -----------------
+bot.on("inline_query", async (ctx) => {
+  const query = ctx.inlineQuery.query.trim();
+  const nothing = () => ctx.answerInlineQuery([], { cache_time: 5 }).catch(() => {});
+  if (INLINE_STORAGE_CHAT_ID === null) {
+    return ctx.answerInlineQuery([], {
+      cache_time: 300,
+      button: { text: "Page previews aren't set up on this bot", start_parameter: "inline" }
+    }).catch(() => {});
+  }
+  if (!looksLikeUrl(query)) return nothing();
+
+  let url;
+  try {
+    url = await validateUrl(query);
+  } catch {
+    return nothing();
+  }
+
+  const userId = ctx.from.id;
+  const cached = inlineCache.get(url);
+  const fresh = cached && Date.now() - cached.at < INLINE_CACHE_TTL_MS;
+  if (!fresh && !inlineRenders.has(url) && !isAdmin(userId) && takeRateToken(userId, "navigate")) return nothing();
+
+  try {
+    const preview = await pTimeout(getPreview(url), { milliseconds: INLINE_ANSWER_DEADLINE_MS });
+    await ctx.answerInlineQuery([inlineResult(preview)], { cache_time: 60 });
+  } catch {
+    await nothing();
+  }
+});
+
 // ----------------- Inline Button Actions -----------------
 bot.on("callback_query", async (ctx) => {
   const chatId = ctx.chat.id;
@@ -803,9 +5537,45 @@ bot.on("callback_query", async (ctx) => {
       return;
     }
 
+    if (data === "dlg:ok" || data === "dlg:cancel") {
+      const accept = data === "dlg:ok";
+      const settled = await settleDialog(chatId, accept, undefined, accept ? "✅ OK" : "❌ Cancelled");
+      await ctx.answerCbQuery(settled ? "" : "Dialog already closed");
+      // Dialogs from timers etc. have no action waiting to re-render
+      if (settled && !isChatBusy(chatId)) await render(ctx, chatId);
+      return;
+    }
+
+    if (data === "up:cancel") {
+      await discardUpload(sess);
+      await ctx.editMessageText("📎 Upload cancelled.").catch(() => {});
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data.startsWith("up:")) {
+      const n = Number(data.slice(3));
+      const input = (sess.fileInputs || []).find(f => f.n === n);
+      const el = input && !input.frame.isDetached() ? input.frame.locator(`[data-tgb-file="${n}"]`).first() : null;
+      if (!el || !(await el.count())) {
+        await ctx.answerCbQuery("That input is gone (page changed). Send the file again.");
+        return;
+      }
+      const name = await attachUpload(sess, el);
+      await ctx.editMessageText(`📎 ${name} → ${input.label || `input ${n}`}`).catch(() => {});
+      await settleAfterInput(sess);
+      await render(ctx, chatId, `📎 attached ${name}`);
+      await ctx.answerCbQuery();
+      return;
+    }
+
     if (data === "tab:new") {
+      if (sess.pages.length >= MAX_TABS_PER_SESSION) {
+        await ctx.answerCbQuery(`Tab limit reached (${MAX_TABS_PER_SESSION})`);
+        return;
+      }
       const p = await sess.context.newPage();
-      await p.goto("https://duckduckgo.com", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
+      await p.goto(HOME_URL, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
       sess.pages.push(p);
       sess.active = sess.pages.length - 1;
       await applyZoomToPage(p, sess.zoom);
@@ -825,40 +5595,55 @@ bot.on("callback_query", async (ctx) => {
         await ctx.answerCbQuery("Can't close the last tab");
         return;
       }
-      const closing = sess.pages[sess.active];
-      try { await closing.close(); } catch {}
-      sess.pages.splice(sess.active, 1);
+      // Out of the list first, so the page's close event has nothing left to do
+      const [closing] = sess.pages.splice(sess.active, 1);
       sess.active = Math.max(0, sess.active - 1);
+      try { await closing.close(); } catch {}
       await render(ctx, chatId, "🧹 closed tab");
       await ctx.answerCbQuery();
       return;
     }
 
     if (data === "grid:show") {
+      sess.gridMode = true;
+      resetGrid(sess);
+      await render(ctx, chatId, "🧊 Grid Tap: choose a cell");
       await ctx.answerCbQuery("Grid opened");
-      await ctx.reply("🧊 Grid Tap: choose a cell", gridKeyboard());
       return;
     }
 
     if (data === "grid:close") {
+      sess.gridMode = false;
+      await render(ctx, chatId);
       await ctx.answerCbQuery("Grid closed");
-      // We can't delete user messages with this bot (no delete). Just acknowledge.
       return;
     }
 
-    if (data.startsWith("grid:cell:")) {
-      const cell = data.split(":").pop(); // e.g. B3
-      const { x, y } = cellToCenterCoords(cell, sess.viewport);
+    if (data === "grid:back") {
+      if (sess.gridPath.length > 1) sess.gridPath.pop();
+      await render(ctx, chatId);
+      await ctx.answerCbQuery();
+      return;
+    }
 
-      await safeRun(async () => {
-        await page.mouse.move(x, y);
-        await page.mouse.click(x, y, { delay: 25 });
-        await page.waitForLoadState("domcontentloaded", { timeout: 4000 }).catch(() => {});
-        await page.waitForTimeout(300);
-        await applyZoomToPage(page, sess.zoom);
-      });
+    if (data === "grid:center") {
+      const region = currentGridRegion(sess);
+      const x = Math.floor(region.x + region.width / 2);
+      const y = Math.floor(region.y + region.height / 2);
+      await tapAt(sess, x, y);
+      resetGrid(sess);
+      await render(ctx, chatId, `🧊 grid tap → (${x}, ${y})`);
+      await ctx.answerCbQuery();
+      return;
+    }
 
-      await render(ctx, chatId, `🧊 grid tap ${cell} → (${x}, ${y})`);
+    if (data.startsWith("grid:cell:")) {
+      const cell = data.split(":").pop(); // e.g. B3
+      if (!sess.gridMode || !parseCell(cell, sess.grid)) {
+        await ctx.answerCbQuery("Grid changed, open it again");
+        return;
+      }
+      await pickGridCell(ctx, chatId, sess, cell);
       await ctx.answerCbQuery();
       return;
     }
@@ -888,19 +5673,175 @@ bot.on("callback_query", async (ctx) => {
 
     if (data === "shot:full") {
       await sendFullPageShot(ctx, chatId);
+      recordStep(sess, { type: "fullshot" });
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data === "hint:on" || data === "hint:off") {
+      sess.hintMode = data === "hint:on";
+      if (!sess.hintMode) sess.hints = [];
+      await render(ctx, chatId, sess.hintMode ? "🔢 hint mode on" : "🔢 hint mode off");
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (/^hint:\d+$/.test(data)) {
+      const n = Number(data.split(":")[1]);
+      await actOnHint(sess, n);
+      await render(ctx, chatId, `🔢 click #${n}`);
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data === "find:next" || data === "find:prev" || data === "find:clear") {
+      if (!sess.find || data === "find:clear") {
+        sess.find = null;
+        await clearFind(page);
+        await render(ctx, chatId, "🔎 search cleared");
+        await ctx.answerCbQuery();
+        return;
+      }
+
+      const index = await showFindMatch(page, sess.find.index + (data === "find:next" ? 1 : -1));
+      if (index === -1) {
+        sess.find = null;
+        await render(ctx, chatId, "🔎 the page changed; search again with /find");
+        await ctx.answerCbQuery();
+        return;
+      }
+      sess.find.index = index;
+      await page.waitForTimeout(120);
+      await render(ctx, chatId, findCaption(sess.find));
       await ctx.answerCbQuery();
       return;
     }
 
+    if (data.startsWith("read:")) {
+      const n = Number(data.split(":")[1]);
+      const html = sess.reader[n];
+      if (!html) {
+        await ctx.answerCbQuery("Article no longer loaded. Send /read again.");
+        return;
+      }
+      await ctx.editMessageText(html, {
+        parse_mode: "HTML",
+        link_preview_options: { is_disabled: true },
+        ...readerKeyboard(n, sess.reader.length)
+      }).catch(() => {});
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data === "keypad:open" || data === "keypad:close") {
+      sess.keypad = data === "keypad:open";
+      await render(ctx, chatId, sess.keypad ? "⌨️ key pad" : "");
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data.startsWith("key:")) {
+      const combo = data.slice("key:".length);
+      await pressKey(sess, combo);
+      await render(ctx, chatId, `⌨️ ${combo}`);
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data.startsWith("lk:page:")) {
+      const { text, keyboard } = linksListing(sess, Number(data.split(":")[2]) || 0);
+      await ctx.editMessageText(text, { ...(keyboard || {}), link_preview_options: { is_disabled: true } }).catch(() => {});
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data.startsWith("lk:")) {
+      const [, action, i] = data.split(":");
+      const link = sess.linkList.items[Number(i)];
+      if (!link) {
+        await ctx.answerCbQuery("Link list changed, send /links again");
+        return;
+      }
+
+      if (action === "copy") {
+        await ctx.reply(link.href, { link_preview_options: { is_disabled: true } });
+        await ctx.answerCbQuery();
+        return;
+      }
+
+      const url = await validateUrl(link.href);
+      if (action === "tab") {
+        if (sess.pages.length >= MAX_TABS_PER_SESSION) {
+          await ctx.answerCbQuery(`Tab limit reached (${MAX_TABS_PER_SESSION})`);
+          return;
+        }
+        const p = await sess.context.newPage();
+        sess.pages.push(p);
+        sess.active = sess.pages.length - 1;
+        await p.goto(url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
+        await applyZoomToPage(p, sess.zoom);
+        await render(ctx, chatId, `➕ opened in tab ${sess.active + 1}`);
+      } else {
+        await openInActiveTab(sess, url);
+        recordStep(sess, { type: "link", text: link.text, url });
+        await render(ctx, chatId);
+      }
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data.startsWith("hist:page:")) {
+      const { text, keyboard } = await historyListing(chatId, Number(data.split(":")[2]) || 0);
+      if (ctx.callbackQuery.message?.text) {
+        await ctx.editMessageText(text, keyboard || {}).catch(() => {});
+      } else {
+        await ctx.reply(text, keyboard || {});
+      }
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data.startsWith("hist:open:") || data.startsWith("bm:open:")) {
+      const id = Number(data.split(":")[2]);
+      const entry = data.startsWith("hist:")
+        ? (await getHistory(chatId)).entries.find(e => e.id === id)
+        : (await getBookmarks(chatId)).items.find(b => b.id === id);
+      if (!entry) {
+        await ctx.answerCbQuery("Entry no longer exists");
+        return;
+      }
+
+      await openInActiveTab(sess, await validateUrl(entry.url));
+      await render(ctx, chatId);
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (data === "bm:toggle") {
+      const url = page.url();
+      if (!/^https?:/.test(url)) {
+        await ctx.answerCbQuery("Nothing to bookmark");
+        return;
+      }
+      const removed = await removeBookmark(chatId, b => b.url === url);
+      if (removed) {
+        await ctx.answerCbQuery(`Removed bookmark: ${removed.name}`);
+        return;
+      }
+      const item = await addBookmark(chatId, url, await page.title().catch(() => ""));
+      await ctx.answerCbQuery(`⭐ Bookmarked: ${item.name}`);
+      return;
+    }
+
     if (data.startsWith("nav:")) {
       const action = data.split(":")[1];
 
       await safeRun(async () => {
-        if (action === "up") {
-          await page.mouse.wheel(0, -SCROLL_PX);
-          await page.waitForTimeout(120);
-        } else if (action === "down") {
-          await page.mouse.wheel(0, SCROLL_PX);
+        if (action === "up" || action === "down") {
+          // Coalesced presses arrive as one action with several steps
+          const steps = currentAction()?.scrollSteps ?? (action === "down" ? 1 : -1);
+          if (steps) await page.mouse.wheel(0, SCROLL_PX * steps);
+          if (steps) recordStep(sess, { type: "scroll", dy: SCROLL_PX * steps });
           await page.waitForTimeout(120);
         } else if (action === "top") {
           await page.evaluate(() => window.scrollTo(0, 0));
@@ -918,11 +5859,13 @@ bot.on("callback_query", async (ctx) => {
           await page.goForward({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS }).catch(() => {});
           await page.waitForTimeout(300);
         } else if (action === "home") {
-          await page.goto("https://duckduckgo.com", { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+          await page.goto(await homeUrl(chatId), { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
           await page.waitForTimeout(400);
         }
         await applyZoomToPage(page, sess.zoom);
       });
+      if (action === "top" || action === "bottom") recordStep(sess, { type: "scroll", to: action });
+      else if (["back", "fwd", "reload", "home"].includes(action)) recordStep(sess, { type: "nav", action });
 
       await render(ctx, chatId);
       await ctx.answerCbQuery();
@@ -943,6 +5886,7 @@ bot.on("callback_query", async (ctx) => {
         await page.waitForTimeout(450);
         await applyZoomToPage(page, sess.zoom);
       });
+      recordStep(sess, { type: "link", text: link.text, url });
 
       await render(ctx, chatId);
       await ctx.answerCbQuery();
@@ -956,13 +5900,32 @@ bot.on("callback_query", async (ctx) => {
   }
 });
 
+// Errors that escape a handler (e.g. getSession when the bot is full)
+async function reportError(err, ctx) {
+  if (ctx.callbackQuery) await ctx.answerCbQuery("Error").catch(() => {});
+  if (!ctx.chat) return; // inline queries have nowhere to reply to
+  await ctx.reply(`❌ ${err.message || "Something went wrong."}`).catch(() => {});
+}
+
+bot.catch(reportError);
+
+await loadAccessList();
+await loadFilterLists();
+await loadWatches();
 bot.launch();
 
-process.once("SIGINT", async () => {
-  try { await bot.stop("SIGINT"); } catch {}
-  try { await browser?.close(); } catch {}
-});
-process.once("SIGTERM", async () => {
-  try { await bot.stop("SIGTERM"); } catch {}
+async function shutdown(signal) {
+  try { bot.stop(signal); } catch {}
+
+  // Chats using profiles come back after the restart as they were left
+  for (const [chatId, sess] of sessions) {
+    if (sess.profile) await autosaveSession(chatId, sess).catch(() => {});
+  }
+
+  await flushChatDocs();
   try { await browser?.close(); } catch {}
-});
+  await fs.rm(DOWNLOAD_DIR, { recursive: true, force: true }).catch(() => {});
+}
+
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));